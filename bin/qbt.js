@@ -0,0 +1,16 @@
+#!/usr/bin/env node
+const { main, interruptible } = require('../src/cli')
+
+const argv = process.argv.slice(2)
+// Interrupting ends the commands which run until then (log --follow, search) cleanly, a second interrupt exits. The other commands exit right away
+const controller = new AbortController()
+if (interruptible(argv)) process.once('SIGINT', () => controller.abort())
+// Output piped to a command which exits early (e.g. head)
+process.stdout.on('error', err => {
+	if (err.code != 'EPIPE') throw err
+	process.exit(process.exitCode)
+})
+
+main(argv, { signal: controller.signal }).then(code => {
+	process.exitCode = code
+})
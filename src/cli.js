@@ -0,0 +1,415 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const api = require('./qbt')
+
+const USAGE = `Usage: qbt [options] <command> [arguments]
+
+Options:
+  --host <url>          URL of the WebUI (env: QBT_HOST)
+  --username <name>     Username (env: QBT_USERNAME)
+  --password <password> Password, visible to other users in ps: prefer QBT_PASSWORD or the config file
+  --config <path>       JSON file with host, username and password (env: QBT_CONFIG, default: ~/.config/qbt/config.json)
+  --json                Print JSON, for scripts
+  --help                Print this help
+
+Commands:
+  list [--filter <filter>] [--category <category>] [--tag <tag>] [--sort <key>] [--reverse] [--limit <n>] [--offset <n>] [--columns <a,b,...>]
+  add <url|file>... [--category <category>] [--tags <a,b,...>] [--savepath <path>] [--paused]
+  pause <hash|all>...
+  resume <hash|all>...
+  delete <hash|all>... [--delete-files]
+  info <hash>
+  category [list]
+  category add <name> [--savepath <path>]
+  category edit <name> --savepath <path>
+  category remove <name>...
+  category set <name> <hash|all>...
+  tag [list]
+  tag create <tag>...
+  tag delete <tag>...
+  tag add <tag> <hash|all>...
+  tag remove <tag> <hash|all>...
+  limit
+  limit download <rate|none>
+  limit upload <rate|none>
+  limit alt
+  log [--types <normal,info,warning,critical>] [--follow] [--interval <ms>]
+  search <pattern> [--plugins <a|b|...>] [--category <category>] [--timeout <ms>] [--limit <n>]
+  prefs [get] [key...]
+  prefs set <key=value>...
+
+Rates are in bytes per second, with an optional K, M or G suffix (e.g. 512K).`
+
+/**
+ * Options taking a value, the other options are flags
+ */
+const VALUE_OPTIONS = ['host', 'username', 'password', 'config', 'filter', 'category', 'tag', 'tags', 'sort', 'limit', 'offset', 'columns', 'savepath', 'types', 'interval', 'plugins', 'timeout']
+
+/**
+ * Columns of the torrent list by default
+ */
+const DEFAULT_COLUMNS = ['hash', 'name', 'state', 'progress', 'size', 'dlspeed', 'upspeed', 'category']
+
+/**
+ * Properties formatted as sizes, speeds, speed limits (0 or -1 when unlimited) and dates in the tables
+ */
+const SIZES = ['size', 'total_size', 'completed', 'amount_left', 'downloaded', 'downloaded_session', 'uploaded', 'uploaded_session', 'total_downloaded', 'total_downloaded_session', 'total_uploaded', 'total_uploaded_session', 'total_wasted', 'piece_size', 'fileSize']
+const SPEEDS = ['dlspeed', 'upspeed', 'dl_speed', 'up_speed', 'dl_speed_avg', 'up_speed_avg', 'dl_info_speed', 'up_info_speed']
+const SPEED_LIMITS = ['dl_limit', 'up_limit', 'dl_rate_limit', 'up_rate_limit']
+const DATES = ['added_on', 'completion_on', 'last_activity', 'seen_complete', 'addition_date', 'completion_date', 'creation_date', 'last_seen']
+
+/**
+ * Error in the command line, printed with the usage
+ */
+class UsageError extends Error {}
+
+/**
+ * Run the command-line interface
+ * @param {string[]} argv - Arguments, without the node executable and script
+ * @param {Object} [io] - Environment of the command
+ * @param {Object<string, string>} [io.env] - Environment variables (default: `process.env`)
+ * @param {{write: function(string)}} [io.stdout] - Standard output (default: `process.stdout`)
+ * @param {{write: function(string)}} [io.stderr] - Standard error (default: `process.stderr`)
+ * @param {AbortSignal} [io.signal] - Signal ending the commands which run until interrupted
+ * @return {Promise<number>} Exit code: `0` on success, `1` on error, `2` on usage error
+ */
+async function main(argv, { env = process.env, stdout = process.stdout, stderr = process.stderr, signal } = {}) {
+	const print = (text = '') => stdout.write(text + '\n')
+	let args
+	try {
+		args = parse(argv)
+		if (args.options.help || args.positional.length == 0) {
+			print(USAGE)
+			return 0
+		}
+		const [name, ...operands] = args.positional
+		const command = COMMANDS[name]
+		if (!command) throw new UsageError(`Unknown command: ${name}`)
+
+		const qbt = await api.connect(...credentials(args.options, env))
+		await command(qbt, operands, args.options, { print, signal })
+		return 0
+	} catch (err) {
+		stderr.write(`qbt: ${err.message}\n`)
+		if (err instanceof UsageError) {
+			stderr.write('Run qbt --help for usage\n')
+			return 2
+		}
+		return 1
+	}
+}
+
+/**
+ * Check whether a command runs until interrupted (log --follow, search), ending cleanly when the signal of `main()` is aborted
+ * @param {string[]} argv - Arguments, without the node executable and script
+ * @return {boolean} Whether the command uses the signal
+ */
+function interruptible(argv) {
+	try {
+		const { options, positional: [name] } = parse(argv)
+		return name == 'search' || (name == 'log' && options.follow === true)
+	} catch (err) {
+		return false
+	}
+}
+
+/**
+ * Split the arguments into options and positional arguments
+ * @param {string[]} argv - Arguments
+ * @return {{options: Object<string, (string|boolean)>, positional: string[]}} Options (`--delete-files` as `deleteFiles`) and positional arguments
+ * @throws {UsageError} If an option lacks its value
+ */
+function parse(argv) {
+	const options = {}
+	const positional = []
+	for (let i = 0; i < argv.length; i++) {
+		const arg = argv[i]
+		if (arg == '--') {
+			positional.push(...argv.slice(i + 1))
+			break
+		}
+		if (!arg.startsWith('--')) {
+			positional.push(arg)
+			continue
+		}
+		const [flag, inline] = arg.slice(2).split(/=(.*)/s)
+		const key = flag.replace(/-(\w)/g, (match, letter) => letter.toUpperCase())
+		if (!VALUE_OPTIONS.includes(key)) {
+			options[key] = true
+		} else if (inline !== undefined) {
+			options[key] = inline
+		} else if (i + 1 < argv.length) {
+			options[key] = argv[++i]
+		} else {
+			throw new UsageError(`Missing value of --${flag}`)
+		}
+	}
+	return { options, positional }
+}
+
+/**
+ * Get the credentials from the options, the environment or the config file, in this order of precedence
+ * @param {Object} options - Command-line options
+ * @param {Object<string, string>} env - Environment variables
+ * @return {string[]} Host, username and password
+ * @throws {UsageError} If the host is missing
+ */
+function credentials(options, env) {
+	const configHome = env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config')
+	const file = options.config || env.QBT_CONFIG || path.join(configHome, 'qbt', 'config.json')
+	let config = {}
+	if (options.config || env.QBT_CONFIG || fs.existsSync(file)) {
+		try {
+			config = JSON.parse(fs.readFileSync(file, 'utf8'))
+		} catch (err) {
+			throw new Error(`Invalid config file ${file}: ${err.message}`)
+		}
+	}
+
+	const host = options.host || env.QBT_HOST || config.host
+	if (!host) throw new UsageError('No host given, use --host, QBT_HOST or the config file')
+	return [host, options.username || env.QBT_USERNAME || config.username, options.password || env.QBT_PASSWORD || config.password]
+}
+
+/**
+ * Commands, called with the client, the operands, the options and the output
+ */
+const COMMANDS = {
+	list: async (qbt, operands, options, { print }) => {
+		const query = qbt.query()
+		if (options.filter !== undefined) query.filter(options.filter)
+		if (options.category !== undefined) query.category(options.category)
+		if (options.tag !== undefined) query.tag(options.tag)
+		if (options.sort !== undefined) query.sort(options.sort, Boolean(options.reverse))
+		if (options.limit !== undefined) query.limit(integer(options.limit, 'limit'))
+		if (options.offset !== undefined) query.offset(integer(options.offset, 'offset'))
+		const torrents = await query.run()
+		if (options.json) return print(json(torrents))
+		const columns = options.columns ? options.columns.split(',') : DEFAULT_COLUMNS
+		print(table(torrents, columns))
+	},
+	add: async (qbt, operands, options) => {
+		if (operands.length == 0) throw new UsageError('No torrent to add')
+		await qbt.addTorrent(operands, { category: options.category, tags: options.tags, savepath: options.savepath, paused: options.paused })
+	},
+	pause: async (qbt, operands) => {
+		await qbt.pauseTorrents(hashes(operands))
+	},
+	resume: async (qbt, operands) => {
+		await qbt.resumeTorrents(hashes(operands))
+	},
+	delete: async (qbt, operands, options) => {
+		await qbt.deleteTorrents(hashes(operands), Boolean(options.deleteFiles))
+	},
+	info: async (qbt, operands, options, { print }) => {
+		if (operands.length != 1) throw new UsageError('Expected one torrent hash')
+		const [hash] = operands
+		const [properties, files, trackers] = await Promise.all([qbt.properties(hash), qbt.files(hash), qbt.trackers(hash)])
+		if (options.json) return print(json({ properties, files, trackers }))
+		print(fields(properties))
+		print()
+		print(table(files.map((file, id) => Object.assign({ id: id }, file)), ['id', 'name', 'size', 'progress', 'priority']))
+		print()
+		print(table(trackers, ['url', 'status', 'num_peers', 'msg']))
+	},
+	category: async (qbt, [action = 'list', name, ...operands], options, { print }) => {
+		if (action == 'list') {
+			const categories = await qbt.categories()
+			if (options.json) return print(json(categories))
+			return print(table(Object.values(categories), ['name', 'savePath']))
+		}
+		if (name === undefined) throw new UsageError('No category given')
+		if (action == 'add') return await qbt.createCategory(name, options.savepath || '')
+		if (action == 'edit') return await qbt.editCategory(name, options.savepath || '')
+		if (action == 'remove') return await qbt.removeCategories([name, ...operands])
+		if (action == 'set') return await qbt.setCategory(hashes(operands), name)
+		throw new UsageError(`Unknown category action: ${action}`)
+	},
+	tag: async (qbt, [action = 'list', name, ...operands], options, { print }) => {
+		if (action == 'list') {
+			const tags = await qbt.tags()
+			return print(options.json ? json(tags) : tags.join('\n'))
+		}
+		if (name === undefined) throw new UsageError('No tag given')
+		if (action == 'create') return await qbt.createTags([name, ...operands])
+		if (action == 'delete') return await qbt.deleteTags([name, ...operands])
+		if (action == 'add') return await qbt.addTags(hashes(operands), name)
+		if (action == 'remove') return await qbt.removeTags(hashes(operands), name)
+		throw new UsageError(`Unknown tag action: ${action}`)
+	},
+	limit: async (qbt, [action, value], options, { print }) => {
+		if (action == 'download') return await qbt.setGlobalDownloadLimit(rate(value))
+		if (action == 'upload') return await qbt.setGlobalUploadLimit(rate(value))
+		if (action == 'alt') return await qbt.toggleSpeedLimitsMode()
+		if (action !== undefined) throw new UsageError(`Unknown limit action: ${action}`)
+
+		const [alternative, download, upload] = await Promise.all([qbt.speedLimitsMode(), qbt.globalDownloadLimit(), qbt.globalUploadLimit()])
+		const limits = { alternative: alternative, dl_rate_limit: download, up_rate_limit: upload }
+		print(options.json ? json(limits) : fields(limits))
+	},
+	log: async (qbt, operands, options, { print, signal }) => {
+		const types = options.types ? options.types.split(',') : ['normal', 'info', 'warning', 'critical']
+		const line = entry => `${new Date(entry.timestamp).toISOString()} ${LOG_TYPES[entry.type] || entry.type} ${entry.message}`
+		if (options.follow) {
+			// Entries are printed as they arrive, as JSON lines with --json
+			for await (const entry of qbt.tailLog({ types: types, history: true, interval: integer(options.interval, 'interval'), signal: signal })) {
+				print(options.json ? JSON.stringify(entry) : line(entry))
+			}
+			return
+		}
+		const entries = await qbt.log(...['normal', 'info', 'warning', 'critical'].map(type => types.includes(type)))
+		print(options.json ? json(entries) : entries.map(line).join('\n'))
+	},
+	search: async (qbt, operands, options, { print, signal }) => {
+		if (operands.length == 0) throw new UsageError('No search pattern given')
+		const limit = integer(options.limit, 'limit')
+		const results = []
+		const search = qbt.search(operands.join(' '), { plugins: options.plugins, category: options.category, timeout: integer(options.timeout, 'timeout'), signal: signal })
+		for await (const result of search) {
+			results.push(result)
+			if (!options.json) print(row(result, ['fileName', 'fileSize', 'nbSeeders', 'nbLeechers', 'siteUrl', 'fileUrl']).join('\t'))
+			if (results.length == limit) break
+		}
+		if (options.json) print(json(results))
+	},
+	prefs: async (qbt, [action = 'get', ...operands], options, { print }) => {
+		const preferences = await qbt.preferences()
+		if (action == 'get') {
+			const selected = {}
+			for (const key of operands.length > 0 ? operands : Object.keys(preferences)) {
+				if (!(key in preferences)) throw new Error(`Unknown preference: ${key}`)
+				selected[key] = preferences[key]
+			}
+			return print(options.json ? json(selected) : Object.entries(selected).map(([key, value]) => `${key} = ${JSON.stringify(value)}`).join('\n'))
+		}
+		if (action != 'set') throw new UsageError(`Unknown prefs action: ${action}`)
+		if (operands.length == 0) throw new UsageError('No preference to set')
+
+		const changes = {}
+		for (const operand of operands) {
+			const [key, value] = operand.split(/=(.*)/s)
+			if (value === undefined) throw new UsageError(`Expected key=value: ${operand}`)
+			changes[key] = typeof preferences[key] == 'string' || !(key in preferences) ? value : JSON.parse(value)
+		}
+		await qbt.setPreferences(changes)
+	}
+}
+
+/**
+ * Names of the log message types
+ */
+const LOG_TYPES = { 1: 'normal', 2: 'info', 4: 'warning', 8: 'critical' }
+
+/**
+ * Get the hashes given as operands
+ * @param {string[]} operands - Hashes, or `all`
+ * @return {string[]} Hashes
+ * @throws {UsageError} If no hash is given
+ */
+function hashes(operands) {
+	if (operands.length == 0) throw new UsageError('No torrent hash given')
+	return operands
+}
+
+/**
+ * Parse an integer option
+ * @param {(string|undefined)} value - Value of the option
+ * @param {string} name - Name of the option
+ * @return {(number|undefined)} Integer, undefined if the option is not set
+ * @throws {UsageError} If the value is not an integer
+ */
+function integer(value, name) {
+	if (value === undefined) return undefined
+	if (!/^-?\d+$/.test(value)) throw new UsageError(`Invalid --${name}: ${value}`)
+	return Number(value)
+}
+
+/**
+ * Parse a rate
+ * @param {string} value - Rate in bytes per second with an optional K, M or G suffix, or `none`
+ * @return {number} Rate in bytes per second, `Infinity` if unlimited
+ * @throws {UsageError} If the rate is invalid
+ */
+function rate(value) {
+	const match = /^(\d+(?:\.\d+)?)([KMG]?)$/i.exec(value || '')
+	if (value == 'none' || (match && Number(match[1]) == 0)) return Infinity
+	if (!match) throw new UsageError(`Invalid rate: ${value}`)
+	return Math.round(Number(match[1]) * 1024 ** ' KMG'.indexOf(match[2].toUpperCase() || ' '))
+}
+
+/**
+ * Format a value of a table
+ * @param {string} key - Property of the value
+ * @param {*} value - Value
+ * @return {string} Formatted value
+ */
+function format(key, value) {
+	if (value === undefined || value === null) return ''
+	if (SIZES.includes(key)) return bytes(value)
+	if (SPEEDS.includes(key)) return `${bytes(value)}/s`
+	if (SPEED_LIMITS.includes(key)) return value > 0 && isFinite(value) ? `${bytes(value)}/s` : '∞'
+	if (DATES.includes(key)) return value > 0 ? new Date(value * 1000).toISOString() : ''
+	if (key == 'progress') return `${Math.floor(value * 1000) / 10}%`
+	if (typeof value == 'object') return JSON.stringify(value)
+	return String(value)
+}
+
+/**
+ * Format a size
+ * @param {number} value - Size in bytes
+ * @return {string} Size with a binary unit
+ */
+function bytes(value) {
+	const units = ['B', 'KiB', 'MiB', 'GiB', 'TiB']
+	let unit = 0
+	while (Math.abs(value) >= 1024 && unit < units.length - 1) {
+		value /= 1024
+		unit++
+	}
+	return unit == 0 ? `${value} B` : `${value.toFixed(1)} ${units[unit]}`
+}
+
+/**
+ * Format the values of an object
+ * @param {Object} object - Object
+ * @param {string[]} columns - Properties to format
+ * @return {string[]} Formatted values
+ */
+function row(object, columns) {
+	return columns.map(column => format(column, object[column]))
+}
+
+/**
+ * Format objects as a table with aligned columns
+ * @param {Object[]} objects - Rows
+ * @param {string[]} columns - Properties shown, also used as headers
+ * @return {string} Table
+ */
+function table(objects, columns) {
+	const rows = [columns].concat(objects.map(object => row(object, columns)))
+	const widths = columns.map((column, i) => Math.max(...rows.map(cells => cells[i].length)))
+	return rows.map(cells => cells.map((cell, i) => i == cells.length - 1 ? cell : cell.padEnd(widths[i])).join('  ')).join('\n')
+}
+
+/**
+ * Format the properties of an object as lines
+ * @param {Object} object - Object
+ * @return {string} One `key: value` line per property
+ */
+function fields(object) {
+	const width = Math.max(...Object.keys(object).map(key => key.length))
+	return Object.entries(object).map(([key, value]) => `${(key + ':').padEnd(width + 1)} ${format(key, value)}`).join('\n')
+}
+
+/**
+ * Format a value as JSON
+ * @param {*} value - Value
+ * @return {string} Indented JSON
+ */
+function json(value) {
+	return JSON.stringify(value, null, 2)
+}
+
+exports.main = main
+exports.interruptible = interruptible
@@ -0,0 +1,439 @@
+// qbt.js requires this module too, connect() and hashOf() are only read from it once both are loaded
+const api = require('./qbt')
+
+/**
+ * Numeric properties of the transfer info summed in the cluster total
+ */
+const TRANSFER_TOTALS = ['dht_nodes', 'dl_info_data', 'dl_info_speed', 'up_info_data', 'up_info_speed']
+
+/**
+ * @typedef {Object} ClusterResults
+ * @property {*} results - Results of the instances which succeeded (property: instance name, value: result of the instance, unless stated otherwise)
+ * @property {Object<string, Error>} errors - Property: instance name, value: error of the instance
+ */
+
+/**
+ * Set of named clients, with merged views of their torrents and transfer info, and operations routed to the instances owning the torrents or broadcast to all of them.
+ * Failures of some instances are reported in `errors` rather than rejecting the whole call
+ * @example
+ * const { cluster, errors } = await QbtCluster.connect({
+ * 	nas: { host: 'http://nas:8080', username: 'admin', password: 'secret' },
+ * 	seedbox: { host: 'https://seedbox.example.com', username: 'admin', password: 'secret' }
+ * })
+ * const { results: torrents } = await cluster.torrents({ filter: 'downloading' })
+ * await cluster.pauseTorrents(torrents.filter(torrent => torrent.ratio > 2))
+ * await cluster.setGlobalUploadLimit(1048576)
+ */
+class QbtCluster {
+	/**
+	 * Create a cluster
+	 * @param {Object<string, Object>} [clients] - Property: instance name, value: client returned by `connect()`
+	 */
+	constructor(clients = {}) {
+		this.clients = new Map(Object.entries(clients))
+		// Instance owning each torrent seen so far, property: hash
+		this.owners = new Map()
+	}
+
+	/**
+	 * Connect to several instances
+	 * @param {Object<string, Object>} instances - Property: instance name, value: `host`, `username`, `password` and the other `ConnectOptions`
+	 * @return {Promise<{cluster: QbtCluster, errors: Object<string, Error>}>} Cluster of the instances connected, and errors of the others
+	 */
+	static async connect(instances) {
+		const cluster = new QbtCluster()
+		const { results, errors } = await settle(Object.keys(instances), name => {
+			const { host, username, password, ...config } = instances[name]
+			return api.connect(host, username, password, config)
+		})
+		for (const [name, qbt] of Object.entries(results)) cluster.add(name, qbt)
+		return { cluster, errors }
+	}
+
+	/**
+	 * Add an instance
+	 * @param {string} name - Name of the instance
+	 * @param {Object} qbt - Client returned by `connect()`
+	 * @throws {Error} If the name is already used
+	 */
+	add(name, qbt) {
+		if (this.clients.has(name)) throw new Error(`Instance already in the cluster: ${name}`)
+		this.clients.set(name, qbt)
+	}
+
+	/**
+	 * Remove an instance
+	 * @param {string} name - Name of the instance
+	 */
+	remove(name) {
+		this.clients.delete(name)
+		forget(this.owners, name, ['all'])
+	}
+
+	/**
+	 * Get the client of an instance
+	 * @param {string} name - Name of the instance
+	 * @return {Object} Client
+	 * @throws {Error} If the instance is unknown
+	 */
+	client(name) {
+		const qbt = this.clients.get(name)
+		if (!qbt) throw new Error(`Unknown instance: ${name}`)
+		return qbt
+	}
+
+	/**
+	 * Get the names of the instances
+	 * @return {string[]} Names
+	 */
+	names() {
+		return [...this.clients.keys()]
+	}
+
+	/**
+	 * Run a function with the client of each instance, in parallel
+	 * @param {function(Object, string): Promise<*>} fn - Function called with the client and the name of each instance
+	 * @param {string[]} [names] - Instances to run the function on (default: all)
+	 * @return {Promise<ClusterResults>} Results and errors
+	 */
+	async each(fn, names = this.names()) {
+		return await settle(names, name => fn(this.client(name), name))
+	}
+
+	/**
+	 * Get the torrents of all the instances, with an `instance` property set to the name of their instance.
+	 * `filter`, `category`, `limit` and `offset` apply to each instance, `sort` and `reverse` to the merged list
+	 * @param {Object} [parameters] - Named parameters of `torrents()`
+	 * @return {Promise<ClusterResults>} Merged torrents in `results`, and errors
+	 */
+	async torrents(parameters = {}) {
+		const { results, errors } = await this.each(async (qbt, name) => {
+			return (await qbt.torrents(parameters)).map(torrent => Object.assign(torrent, { instance: name }))
+		})
+		const torrents = [].concat(...Object.values(results))
+		for (const torrent of torrents) this.owners.set(torrent.hash, torrent.instance)
+
+		const { sort, reverse } = parameters
+		if (sort) torrents.sort((a, b) => (a[sort] < b[sort] ? -1 : a[sort] > b[sort] ? 1 : 0) * (reverse ? -1 : 1))
+		return { results: torrents, errors }
+	}
+
+	/**
+	 * Get the transfer info of all the instances, with an `instance` property set to the name of their instance
+	 * @return {Promise<ClusterResults>} Transfer info of each instance in `results`, sums of the speeds, amounts of data and DHT nodes in `total`, and errors
+	 */
+	async transferInfo() {
+		const { results, errors } = await this.each(async (qbt, name) => Object.assign(await qbt.transferInfo(), { instance: name }))
+		const infos = Object.values(results)
+		const total = {}
+		for (const key of TRANSFER_TOTALS) total[key] = infos.reduce((sum, info) => sum + (info[key] || 0), 0)
+		return { results: infos, total, errors }
+	}
+
+	/**
+	 * Find the instance owning a torrent
+	 * @param {(string|Torrent)} hash - Hash of the torrent, or torrent returned by the cluster or a client
+	 * @return {Promise<(string|null)>} Name of the instance, null if no instance has the torrent
+	 * @throws {Error} If no instance answering has the torrent and some instances failed the lookup: their error, or an `AggregateError` of their errors
+	 */
+	async owner(hash) {
+		const { groups, errors } = await this.route([hash])
+		const [owner] = Object.keys(groups)
+		if (owner) return owner
+
+		const failed = Object.values(errors)
+		if (failed.length == 1) throw failed[0]
+		if (failed.length > 1) throw new AggregateError(failed, `Torrent lookup failed on ${Object.keys(errors).join(', ')}`)
+		return null
+	}
+
+	/**
+	 * Get a handle on a torrent, bound to the client of the instance owning it
+	 * @param {(string|Torrent)} hash - Hash of the torrent, or torrent returned by the cluster or a client
+	 * @return {Promise<TorrentHandle>} Torrent handle
+	 * @throws {UnknownTorrentError} If no instance has the torrent
+	 * @throws {Error} If the lookup failed on instances, see `owner()`
+	 */
+	async torrent(hash) {
+		const owner = await this.owner(hash)
+		if (!owner) throw new api.UnknownTorrentError(api.hashOf(hash))
+		return this.client(owner).torrent(api.hashOf(hash))
+	}
+
+	/**
+	 * Group torrents by the instance owning them. Torrents with an `instance` property are routed to it, the other owners are looked up on all the instances
+	 * @param {(string|Torrent|Array<(string|Torrent)>)} hashes - Hashes separated by `|`, `all`, torrent, or array of hashes and torrents
+	 * @return {Promise<{groups: Object<string, string[]>, errors: Object<string, Error>}>} Property of `groups`: instance name, value: hashes of the torrents it owns (`['all']` for `all`). Unknown torrents are left out. `errors` has the instances which failed the lookup, they may own some of the torrents left out
+	 */
+	async route(hashes) {
+		if (hashes == 'all') return { groups: Object.fromEntries(this.names().map(name => [name, ['all']])), errors: {} }
+		const list = typeof hashes == 'string' ? hashes.split('|') : [].concat(hashes)
+
+		for (const torrent of list) {
+			if (torrent && typeof torrent == 'object' && this.clients.has(torrent.instance)) this.owners.set(torrent.hash, torrent.instance)
+		}
+		const unknown = list.map(api.hashOf).filter(hash => !this.clients.has(this.owners.get(hash)))
+		let errors = {}
+		if (unknown.length > 0) {
+			const lookup = await this.each(qbt => qbt.torrents({ hashes: unknown }))
+			for (const [name, torrents] of Object.entries(lookup.results)) {
+				for (const torrent of torrents) this.owners.set(torrent.hash, name)
+			}
+			errors = lookup.errors
+		}
+
+		const groups = {}
+		for (const hash of new Set(list.map(api.hashOf))) {
+			const owner = this.owners.get(hash)
+			if (!this.clients.has(owner)) continue
+			groups[owner] = (groups[owner] || []).concat(hash)
+		}
+		return { groups, errors }
+	}
+
+	/**
+	 * Call a client method taking hashes as first parameter on the instances owning the torrents
+	 * @param {string} method - Name of the client method (e.g. `pauseTorrents`)
+	 * @param {(string|Torrent|Array<(string|Torrent)>)} hashes - Hashes separated by `|`, `all`, torrent, or array of hashes and torrents
+	 * @param {...*} args - Other parameters of the method
+	 * @return {Promise<ClusterResults>} Results of the instances owning torrents, errors of the instances which failed the lookup or the call
+	 */
+	async forTorrents(method, hashes, ...args) {
+		const { groups, errors } = await this.route(hashes)
+		const outcome = await this.each((qbt, name) => qbt[method](groups[name], ...args), Object.keys(groups))
+		// The owners may have changed, look them up again next time
+		for (const name of Object.keys(outcome.errors)) forget(this.owners, name, groups[name])
+		return { results: outcome.results, errors: Object.assign(errors, outcome.errors) }
+	}
+
+	/**
+	 * Get the generic properties of a torrent from the instance owning it
+	 * @param {(string|Torrent)} hash - Hash of the torrent, or torrent
+	 * @return {Promise<TorrentInfo>} Torrent properties
+	 */
+	async properties(hash) {
+		return await onOwner(this, hash, torrent => torrent.properties())
+	}
+
+	/**
+	 * Get the trackers of a torrent from the instance owning it
+	 * @param {(string|Torrent)} hash - Hash of the torrent, or torrent
+	 * @return {Promise<Tracker[]>} Trackers
+	 */
+	async trackers(hash) {
+		return await onOwner(this, hash, torrent => torrent.trackers())
+	}
+
+	/**
+	 * Get the contents of a torrent from the instance owning it
+	 * @param {(string|Torrent)} hash - Hash of the torrent, or torrent
+	 * @return {Promise<Content[]>} Files
+	 */
+	async files(hash) {
+		return await onOwner(this, hash, torrent => torrent.files())
+	}
+
+	/**
+	 * Pause torrents on the instances owning them
+	 * @param {(string|Torrent|Array<(string|Torrent)>)} hashes - Hashes, `all`, torrent, or array of hashes and torrents
+	 * @return {Promise<ClusterResults>} Errors of the instances
+	 */
+	async pauseTorrents(hashes) {
+		return await this.forTorrents('pauseTorrents', hashes)
+	}
+
+	/**
+	 * Resume torrents on the instances owning them
+	 * @param {(string|Torrent|Array<(string|Torrent)>)} hashes - Hashes, `all`, torrent, or array of hashes and torrents
+	 * @return {Promise<ClusterResults>} Errors of the instances
+	 */
+	async resumeTorrents(hashes) {
+		return await this.forTorrents('resumeTorrents', hashes)
+	}
+
+	/**
+	 * Delete torrents from the instances owning them
+	 * @param {(string|Torrent|Array<(string|Torrent)>)} hashes - Hashes, `all`, torrent, or array of hashes and torrents
+	 * @param {boolean} [deleteFiles] - Also delete the downloaded data (default: `false`)
+	 * @return {Promise<ClusterResults>} Errors of the instances
+	 */
+	async deleteTorrents(hashes, deleteFiles = false) {
+		const { groups, errors } = await this.route(hashes)
+		const outcome = await this.each((qbt, name) => qbt.deleteTorrents(groups[name], deleteFiles), Object.keys(groups))
+		// Deleted, or the owners may have changed if the call failed
+		for (const name of Object.keys(groups)) forget(this.owners, name, groups[name])
+		return { results: outcome.results, errors: Object.assign(errors, outcome.errors) }
+	}
+
+	/**
+	 * Recheck torrents on the instances owning them
+	 * @param {(string|Torrent|Array<(string|Torrent)>)} hashes - Hashes, `all`, torrent, or array of hashes and torrents
+	 * @return {Promise<ClusterResults>} Errors of the instances
+	 */
+	async recheckTorrents(hashes) {
+		return await this.forTorrents('recheckTorrents', hashes)
+	}
+
+	/**
+	 * Reannounce torrents on the instances owning them
+	 * @param {(string|Torrent|Array<(string|Torrent)>)} hashes - Hashes, `all`, torrent, or array of hashes and torrents
+	 * @return {Promise<ClusterResults>} Errors of the instances
+	 */
+	async reannounceTorrents(hashes) {
+		return await this.forTorrents('reannounceTorrents', hashes)
+	}
+
+	/**
+	 * Set the category of torrents on the instances owning them, the category must exist on these instances
+	 * @param {(string|Torrent|Array<(string|Torrent)>)} hashes - Hashes, `all`, torrent, or array of hashes and torrents
+	 * @param {string} category - Name of the category, empty to remove the category
+	 * @return {Promise<ClusterResults>} Errors of the instances
+	 */
+	async setCategory(hashes, category) {
+		return await this.forTorrents('setCategory', hashes, category)
+	}
+
+	/**
+	 * Add tags to torrents on the instances owning them
+	 * @param {(string|Torrent|Array<(string|Torrent)>)} hashes - Hashes, `all`, torrent, or array of hashes and torrents
+	 * @param {(string|string[])} tags - Tags, separated by `,` or as an array
+	 * @return {Promise<ClusterResults>} Errors of the instances
+	 */
+	async addTags(hashes, tags) {
+		return await this.forTorrents('addTags', hashes, tags)
+	}
+
+	/**
+	 * Remove tags from torrents on the instances owning them
+	 * @param {(string|Torrent|Array<(string|Torrent)>)} hashes - Hashes, `all`, torrent, or array of hashes and torrents
+	 * @param {(string|string[])} [tags] - Tags, separated by `,` or as an array (default: all the tags)
+	 * @return {Promise<ClusterResults>} Errors of the instances
+	 */
+	async removeTags(hashes, tags) {
+		return await this.forTorrents('removeTags', hashes, tags)
+	}
+
+	/**
+	 * Set the download speed limit of torrents on the instances owning them
+	 * @param {(string|Torrent|Array<(string|Torrent)>)} hashes - Hashes, `all`, torrent, or array of hashes and torrents
+	 * @param {(number|null)} limit - Limit in bytes per second, `0`, `Infinity` or `null` for no limit
+	 * @return {Promise<ClusterResults>} Errors of the instances
+	 */
+	async setDownloadLimit(hashes, limit) {
+		return await this.forTorrents('setDownloadLimit', hashes, limit)
+	}
+
+	/**
+	 * Set the upload speed limit of torrents on the instances owning them
+	 * @param {(string|Torrent|Array<(string|Torrent)>)} hashes - Hashes, `all`, torrent, or array of hashes and torrents
+	 * @param {(number|null)} limit - Limit in bytes per second, `0`, `Infinity` or `null` for no limit
+	 * @return {Promise<ClusterResults>} Errors of the instances
+	 */
+	async setUploadLimit(hashes, limit) {
+		return await this.forTorrents('setUploadLimit', hashes, limit)
+	}
+
+	/**
+	 * Set the global download speed limit of all the instances
+	 * @param {(number|null)} limit - Limit in bytes per second, `0`, `Infinity` or `null` for no limit
+	 * @return {Promise<ClusterResults>} Errors of the instances
+	 */
+	async setGlobalDownloadLimit(limit) {
+		return await this.each(qbt => qbt.setGlobalDownloadLimit(limit))
+	}
+
+	/**
+	 * Set the global upload speed limit of all the instances
+	 * @param {(number|null)} limit - Limit in bytes per second, `0`, `Infinity` or `null` for no limit
+	 * @return {Promise<ClusterResults>} Errors of the instances
+	 */
+	async setGlobalUploadLimit(limit) {
+		return await this.each(qbt => qbt.setGlobalUploadLimit(limit))
+	}
+
+	/**
+	 * Create a category on all the instances
+	 * @param {string} category - Name of the category
+	 * @param {string} [savePath] - Save path of the category
+	 * @return {Promise<ClusterResults>} Errors of the instances, including those where the category already exists
+	 */
+	async createCategory(category, savePath) {
+		return await this.each(qbt => qbt.createCategory(category, savePath))
+	}
+
+	/**
+	 * Remove categories from all the instances
+	 * @param {(string|string[])} categories - Names of the categories, separated by `\n` or as an array
+	 * @return {Promise<ClusterResults>} Errors of the instances
+	 */
+	async removeCategories(categories) {
+		return await this.each(qbt => qbt.removeCategories(categories))
+	}
+
+	/**
+	 * Create tags on all the instances
+	 * @param {(string|string[])} tags - Tags, separated by `,` or as an array
+	 * @return {Promise<ClusterResults>} Errors of the instances
+	 */
+	async createTags(tags) {
+		return await this.each(qbt => qbt.createTags(tags))
+	}
+
+	/**
+	 * Delete tags from all the instances
+	 * @param {(string|string[])} tags - Tags, separated by `,` or as an array
+	 * @return {Promise<ClusterResults>} Errors of the instances
+	 */
+	async deleteTags(tags) {
+		return await this.each(qbt => qbt.deleteTags(tags))
+	}
+}
+
+/**
+ * Run a function for several names in parallel, collecting the results and errors
+ * @param {string[]} names - Names
+ * @param {function(string): Promise<*>} fn - Function called with each name
+ * @return {Promise<ClusterResults>} Results and errors, in the order of the names
+ */
+async function settle(names, fn) {
+	const outcomes = await Promise.allSettled(names.map(async name => await fn(name)))
+	const results = {}
+	const errors = {}
+	outcomes.forEach((outcome, i) => {
+		if (outcome.status == 'fulfilled') results[names[i]] = outcome.value
+		else errors[names[i]] = outcome.reason
+	})
+	return { results, errors }
+}
+
+/**
+ * Call a function with a handle on a torrent, bound to the client of the instance owning it. The owner is forgotten if the call fails
+ * @param {QbtCluster} cluster - Cluster
+ * @param {(string|Torrent)} hash - Hash of the torrent, or torrent
+ * @param {function(TorrentHandle): Promise<*>} fn - Function called with the handle
+ * @return {Promise<*>} Result of the function
+ */
+async function onOwner(cluster, hash, fn) {
+	const owner = await cluster.owner(hash)
+	if (!owner) throw new api.UnknownTorrentError(api.hashOf(hash))
+	try {
+		return await fn(cluster.client(owner).torrent(api.hashOf(hash)))
+	} catch (err) {
+		forget(cluster.owners, owner, [api.hashOf(hash)])
+		throw err
+	}
+}
+
+/**
+ * Remove torrents from the owners known of an instance
+ * @param {Map<string, string>} owners - Instance owning each torrent, property: hash
+ * @param {string} name - Name of the instance
+ * @param {string[]} hashes - Hashes of the torrents, `['all']` for all the torrents of the instance
+ */
+function forget(owners, name, hashes) {
+	for (const [hash, owner] of owners) {
+		if (owner == name && (hashes[0] == 'all' || hashes.includes(hash))) owners.delete(hash)
+	}
+}
+
+exports.QbtCluster = QbtCluster
@@ -0,0 +1,1528 @@
+const http = require('http')
+const crypto = require('crypto')
+
+const ENDPOINT = '/api/v2'
+
+/**
+ * Preferences of a fresh qBittorrent 4.1 install, `web_ui_password` is never returned
+ */
+const DEFAULT_PREFERENCES = {
+	locale: 'en',
+	create_subfolder_enabled: true,
+	start_paused_enabled: false,
+	auto_delete_mode: 0,
+	preallocate_all: false,
+	incomplete_files_ext: false,
+	auto_tmm_enabled: false,
+	torrent_changed_tmm_enabled: true,
+	save_path_changed_tmm_enabled: false,
+	category_changed_tmm_enabled: false,
+	save_path: '/downloads/',
+	temp_path_enabled: false,
+	temp_path: '/downloads/temp/',
+	scan_dirs: {},
+	export_dir: '',
+	export_dir_fin: '',
+	mail_notification_enabled: false,
+	mail_notification_sender: 'qBittorrent_notification@example.com',
+	mail_notification_email: '',
+	mail_notification_smtp: 'smtp.changeme.com',
+	mail_notification_ssl_enabled: false,
+	mail_notification_auth_enabled: false,
+	mail_notification_username: '',
+	mail_notification_password: '',
+	autorun_enabled: false,
+	autorun_program: '',
+	queueing_enabled: true,
+	max_active_downloads: 3,
+	max_active_torrents: 5,
+	max_active_uploads: 3,
+	dont_count_slow_torrents: false,
+	slow_torrent_dl_rate_threshold: 2,
+	slow_torrent_ul_rate_threshold: 2,
+	slow_torrent_inactive_timer: 60,
+	max_ratio_enabled: false,
+	max_ratio: -1,
+	max_ratio_act: 0,
+	listen_port: 8999,
+	upnp: true,
+	random_port: false,
+	dl_limit: -1,
+	up_limit: -1,
+	max_connec: 500,
+	max_connec_per_torrent: 100,
+	max_uploads: -1,
+	max_uploads_per_torrent: -1,
+	enable_utp: true,
+	limit_utp_rate: true,
+	limit_tcp_overhead: false,
+	limit_lan_peers: true,
+	alt_dl_limit: 10,
+	alt_up_limit: 10,
+	scheduler_enabled: false,
+	schedule_from_hour: 8,
+	schedule_from_min: 0,
+	schedule_to_hour: 20,
+	schedule_to_min: 0,
+	scheduler_days: 0,
+	dht: true,
+	dhtSameAsBT: true,
+	dht_port: 8999,
+	pex: true,
+	lsd: true,
+	encryption: 0,
+	anonymous_mode: false,
+	proxy_type: -1,
+	proxy_ip: '0.0.0.0',
+	proxy_port: 8080,
+	proxy_peer_connections: false,
+	force_proxy: false,
+	proxy_auth_enabled: false,
+	proxy_username: '',
+	proxy_password: '',
+	ip_filter_enabled: false,
+	ip_filter_path: '',
+	ip_filter_trackers: false,
+	web_ui_domain_list: '*',
+	web_ui_address: '*',
+	web_ui_port: 8080,
+	web_ui_upnp: false,
+	web_ui_username: 'admin',
+	web_ui_csrf_protection_enabled: true,
+	web_ui_clickjacking_protection_enabled: true,
+	bypass_local_auth: false,
+	bypass_auth_subnet_whitelist_enabled: false,
+	bypass_auth_subnet_whitelist: '',
+	alternative_webui_enabled: false,
+	alternative_webui_path: '',
+	use_https: false,
+	ssl_key: '',
+	ssl_cert: '',
+	dyndns_enabled: false,
+	dyndns_service: 0,
+	dyndns_username: '',
+	dyndns_password: '',
+	dyndns_domain: 'changeme.dyndns.org',
+	rss_refresh_interval: 30,
+	rss_max_articles_per_feed: 50,
+	rss_processing_enabled: false,
+	rss_auto_downloading_enabled: false
+}
+
+/**
+ * Search plugins installed by default
+ */
+const DEFAULT_PLUGINS = [
+	{ enabled: true, fullName: 'Legit Torrents', name: 'legittorrents', supportedCategories: ['all', 'games', 'movies', 'music', 'software', 'tv'], url: 'http://www.legittorrents.info', version: '2.3' },
+	{ enabled: true, fullName: 'Linux Tracker', name: 'linuxtracker', supportedCategories: ['all', 'software'], url: 'https://linuxtracker.org', version: '1.0' },
+	{ enabled: false, fullName: 'Archive.org', name: 'archive', supportedCategories: ['all', 'books', 'movies', 'music'], url: 'https://archive.org', version: '1.1' }
+]
+
+/**
+ * States of torrents which are downloading, and the matching states once complete
+ */
+const DOWNLOADING_STATES = ['downloading', 'metaDL', 'stalledDL', 'checkingDL', 'pausedDL', 'queuedDL', 'forcedDL', 'allocating']
+
+/**
+ * Speed of a running torrent in bytes per second, when not limited
+ */
+const SPEED = 1048576
+
+/**
+ * Maximum number of searches running at the same time
+ */
+const MAX_RUNNING_SEARCHES = 5
+
+/**
+ * Error answered with an HTTP error status
+ */
+class HttpStatus extends Error {
+	constructor(statusCode, body) {
+		super(body)
+		this.statusCode = statusCode
+		this.body = body
+	}
+}
+
+/**
+ * In-process fake of qBittorrent's WebUI, implementing the Web API v2 used by the client with an in-memory state.
+ * Torrents move between states on `tick()`: metadata is fetched, checks and moves finish, downloads progress until complete.
+ * Searches reveal their results over several status requests before stopping.
+ * @example
+ * const mock = new MockServer({ username: 'admin', password: 'adminadmin' })
+ * const qbt = await connect(await mock.listen(), 'admin', 'adminadmin')
+ * await qbt.addTorrent('magnet:?xt=urn:btih:...')
+ * mock.tick(4)
+ * await mock.close()
+ */
+class MockServer {
+	/**
+	 * Create a server, which starts with a sample torrent, category, tag, RSS feed and log
+	 * @param {Object} [options]
+	 * @param {string} [options.username] - Username of the WebUI (default: `admin`)
+	 * @param {string} [options.password] - Password of the WebUI (default: `adminadmin`)
+	 * @param {string} [options.version] - Application version (default: `v4.2.5`)
+	 * @param {string} [options.apiVersion] - Web API version (default: `2.5.1`)
+	 * @param {number} [options.maxFailedLogins] - Failed logins after which the IP address is banned (default: `5`)
+	 * @param {boolean} [options.empty] - Start without sample data (default: `false`)
+	 * @param {function(string, SearchPlugin, string): SearchResult[]} [options.searchResults] - Results of a search with a plugin, called with the pattern, the plugin and the category
+	 */
+	constructor({ username = 'admin', password = 'adminadmin', version = 'v4.2.5', apiVersion = '2.5.1', maxFailedLogins = 5, empty = false, searchResults = sampleResults } = {}) {
+		this.options = { username, password, version, apiVersion, maxFailedLogins, empty, searchResults }
+		this.server = null
+		this.url = null
+		this.reset()
+	}
+
+	/**
+	 * Restore the initial state, closing the sessions
+	 */
+	reset() {
+		this.username = this.options.username
+		this.password = this.options.password
+		this.sessions = new Set()
+		this.failedLogins = 0
+		this.preferences = Object.assign({}, DEFAULT_PREFERENCES, { web_ui_username: this.username })
+		this.torrents = {}
+		this.categories = {}
+		this.tags = []
+		this.altSpeedLimits = false
+		this.bannedPeers = []
+		this.allTime = { dl: 0, ul: 0 }
+		this.logs = []
+		this.peerLogs = []
+		this.plugins = DEFAULT_PLUGINS.map(plugin => Object.assign({}, plugin))
+		this.searches = {}
+		this.searchId = 0
+		this.rssItems = {}
+		this.rssRules = {}
+		this.rid = 0
+		this.snapshots = new Map()
+
+		this.log(`qBittorrent ${this.options.version} started`, 1)
+		this.log(`Web UI: Now listening on IP: *, port: ${this.preferences.web_ui_port}`, 2)
+		if (this.options.empty) return
+
+		this.categories.linux = { name: 'linux', savePath: '/downloads/linux/' }
+		this.tags.push('iso')
+		this.addTorrent({ name: 'ubuntu-18.04.1-desktop-amd64.iso', size: 1953349632, progress: 1, category: 'linux', tags: 'iso', uploaded: 4294967296 })
+		this.addTorrent({ name: 'debian-9.5.0-amd64-netinst.iso', size: 305135616, progress: 0.4, category: 'linux' })
+		this.rssItems.Linux = {
+			uid: '{6a5f4c61-0c9f-4ab5-9c59-b3b9dd7a6f0e}',
+			url: 'https://example.com/linux.rss',
+			title: 'Linux ISOs',
+			lastBuildDate: new Date().toUTCString(),
+			isLoading: false,
+			hasError: false,
+			articles: [
+				{ id: '1', title: 'Fedora 28 Workstation x86_64', date: new Date().toUTCString(), torrentURL: 'https://example.com/fedora-28.torrent', isRead: false },
+				{ id: '2', title: 'Linux Mint 19 Cinnamon 64-bit', date: new Date().toUTCString(), torrentURL: 'https://example.com/linuxmint-19.torrent', isRead: false }
+			]
+		}
+	}
+
+	/**
+	 * Start listening
+	 * @param {number} [port] - Port (default: a free port)
+	 * @param {string} [hostname] - Address (default: `127.0.0.1`)
+	 * @return {Promise<string>} URL of the WebUI, to pass to `connect()`
+	 */
+	listen(port = 0, hostname = '127.0.0.1') {
+		return new Promise((resolve, reject) => {
+			this.server = http.createServer((req, res) => this.handle(req, res))
+			// Keep-alive connections of the clients must not keep the process running
+			this.server.keepAliveTimeout = 100
+			this.server.once('error', reject)
+			this.server.listen(port, hostname, () => {
+				this.url = `http://${hostname}:${this.server.address().port}/`
+				resolve(this.url)
+			})
+		})
+	}
+
+	/**
+	 * Stop listening
+	 * @return {Promise} Resolved once the server is closed
+	 */
+	close() {
+		return new Promise(resolve => {
+			if (!this.server) return resolve()
+			this.server.close(() => resolve())
+			// Node.js < 18.2 closes the idle keep-alive connections after keepAliveTimeout instead
+			if (this.server.closeAllConnections) this.server.closeAllConnections()
+			this.server = null
+		})
+	}
+
+	/**
+	 * Forget the sessions, as when qBittorrent restarts or the sessions time out
+	 */
+	expireSessions() {
+		this.sessions.clear()
+	}
+
+	/**
+	 * Add a log message
+	 * @param {string} message - Text of the message
+	 * @param {(1|2|4|8)} [type] - Type of the message (normal: `1`, info: `2`, warning: `4`, critical: `8`)
+	 */
+	log(message, type = 1) {
+		this.logs.push({ id: this.logs.length, message: message, timestamp: Date.now(), type: type })
+	}
+
+	/**
+	 * Add a torrent directly, as if it had been added through the WebUI
+	 * @param {Object} [torrent] - Properties of `Torrent` and `TorrentInfo` to set, plus `files` (names and sizes) and `trackers` (URLs)
+	 * @return {Torrent} Added torrent
+	 */
+	addTorrent(torrent = {}) {
+		const name = torrent.name || `torrent-${Object.keys(this.torrents).length + 1}`
+		const hash = torrent.hash || crypto.createHash('sha1').update(name).digest('hex')
+		const size = torrent.size || 1073741824
+		const progress = torrent.progress || 0
+		const now = Math.floor(Date.now() / 1000)
+		const info = {
+			added_on: now,
+			amount_left: Math.round(size * (1 - progress)),
+			auto_tmm: false,
+			category: '',
+			completed: Math.round(size * progress),
+			completion_on: progress == 1 ? now : -1,
+			dl_limit: -1,
+			dlspeed: 0,
+			downloaded: Math.round(size * progress),
+			downloaded_session: 0,
+			eta: 8640000,
+			f_l_piece_prio: false,
+			force_start: false,
+			hash: hash,
+			last_activity: now,
+			magnet_uri: `magnet:?xt=urn:btih:${hash}&dn=${encodeURIComponent(name)}`,
+			max_ratio: -1,
+			max_seeding_time: -1,
+			name: name,
+			num_complete: 0,
+			num_incomplete: 0,
+			num_leechs: 0,
+			num_seeds: 0,
+			priority: 0,
+			progress: progress,
+			ratio: 0,
+			ratio_limit: -2,
+			save_path: this.preferences.save_path,
+			seeding_time_limit: -2,
+			seen_complete: progress == 1 ? now : 0,
+			seq_dl: false,
+			size: size,
+			state: progress == 1 ? 'uploading' : 'downloading',
+			super_seeding: false,
+			tags: '',
+			time_active: 0,
+			total_size: size,
+			tracker: '',
+			up_limit: -1,
+			uploaded: 0,
+			uploaded_session: 0,
+			upspeed: 0
+		}
+		for (const key of Object.keys(info)) {
+			if (torrent[key] !== undefined && key != 'hash') info[key] = torrent[key]
+		}
+		if (info.downloaded > 0) info.ratio = Math.round(info.uploaded / info.downloaded * 1000) / 1000
+		if (info.category && !this.categories[info.category]) this.categories[info.category] = { name: info.category, savePath: '' }
+		for (const tag of splitTags(info.tags)) {
+			if (!this.tags.includes(tag)) this.tags.push(tag)
+		}
+
+		const pieceSize = torrent.piece_size || 4194304
+		const files = (torrent.files || [{ name: name, size: size }]).reduce((files, file) => {
+			const first = files.length ? files[files.length - 1].piece_range[1] + 1 : 0
+			files.push({
+				name: file.name,
+				size: file.size,
+				progress: progress,
+				priority: 1,
+				is_seed: progress == 1,
+				piece_range: [first, first + Math.max(Math.ceil(file.size / pieceSize) - 1, 0)],
+				availability: 1
+			})
+			return files
+		}, [])
+
+		this.torrents[hash] = {
+			info: info,
+			files: files,
+			trackers: (torrent.trackers || ['udp://tracker.example.com:6969/announce']).map((url, tier) => tracker(url, tier)),
+			webseeds: [],
+			peers: {},
+			pieceSize: pieceSize,
+			creationDate: torrent.creation_date || now - 86400,
+			comment: torrent.comment || '',
+			createdBy: torrent.created_by || 'mktorrent 1.1'
+		}
+		if (!torrent.magnet) announce(this, hash)
+		queue(this)
+		this.log(`'${name}' added to download list.`, 1)
+		return Object.assign({}, info)
+	}
+
+	/**
+	 * Advance the state of the torrents and the transfers, as qBittorrent does over time
+	 * @param {number} [count] - Number of steps, a download progresses by a quarter of its size at each step (default: `1`)
+	 */
+	tick(count = 1) {
+		for (let i = 0; i < count; i++) {
+			for (const hash of Object.keys(this.torrents)) advance(this, hash)
+			queue(this)
+		}
+	}
+
+	/**
+	 * Handle an HTTP request, the server can also be used as listener of another HTTP server
+	 * @param {http.IncomingMessage} req - Request
+	 * @param {http.ServerResponse} res - Response
+	 */
+	handle(req, res) {
+		const chunks = []
+		req.on('data', chunk => chunks.push(chunk)).on('end', () => {
+			const url = new URL(req.url, 'http://localhost')
+			try {
+				if (!url.pathname.startsWith(ENDPOINT)) throw new HttpStatus(404, 'Not Found')
+				const endpoint = url.pathname.slice(ENDPOINT.length)
+				const route = ROUTES[endpoint]
+				if (!route) throw new HttpStatus(404, 'Not Found')
+
+				const { parameters, files } = parseBody(req.headers['content-type'] || '', Buffer.concat(chunks))
+				for (const [key, value] of url.searchParams) parameters[key] = value
+
+				const cookie = /SID=([^;\s]+)/.exec(req.headers.cookie || '')
+				if (endpoint != '/auth/login' && !(cookie && this.sessions.has(cookie[1]))) throw new HttpStatus(403, 'Forbidden')
+
+				const result = route(this, parameters, files, res)
+				if (result === undefined) {
+					res.end()
+				} else if (typeof result == 'string') {
+					res.setHeader('Content-Type', 'text/plain; charset=UTF-8')
+					res.end(result)
+				} else {
+					res.setHeader('Content-Type', 'application/json')
+					res.end(JSON.stringify(result))
+				}
+			} catch (err) {
+				if (!(err instanceof HttpStatus)) throw err
+				res.statusCode = err.statusCode
+				res.setHeader('Content-Type', 'text/plain; charset=UTF-8')
+				res.end(err.body)
+			}
+		})
+	}
+}
+
+/**
+ * Advance the state of a torrent by one step
+ * @param {MockServer} mock - Server
+ * @param {string} hash - Hash of the torrent
+ */
+function advance(mock, hash) {
+	const torrent = mock.torrents[hash]
+	const info = torrent.info
+	const complete = info.progress == 1
+
+	if (info.state == 'metaDL') {
+		info.state = 'downloading'
+		announce(mock, hash)
+	} else if (['checkingDL', 'checkingUP', 'checkingResumeData', 'moving', 'allocating'].includes(info.state)) {
+		info.state = complete ? 'uploading' : 'downloading'
+	} else if (['downloading', 'stalledDL', 'forcedDL'].includes(info.state)) {
+		const speed = Math.min(limited(info.dl_limit, SPEED), info.amount_left)
+		info.dlspeed = speed
+		info.downloaded += speed
+		info.downloaded_session += speed
+		info.completed = Math.min(info.completed + Math.ceil(info.size / 4), info.size)
+		info.amount_left = info.size - info.completed
+		info.progress = info.completed / info.size
+		info.eta = info.amount_left > 0 ? Math.ceil(info.amount_left / SPEED) : 8640000
+		mock.allTime.dl += speed
+		torrent.files.forEach(file => {
+			file.progress = info.progress
+			file.is_seed = info.progress == 1
+		})
+		if (info.progress == 1) {
+			info.state = info.force_start ? 'forcedUP' : 'uploading'
+			info.completion_on = Math.floor(Date.now() / 1000)
+			info.seen_complete = info.completion_on
+			info.dlspeed = 0
+			mock.log(`'${info.name}' download finished.`, 1)
+		}
+	} else if (['uploading', 'stalledUP', 'forcedUP'].includes(info.state)) {
+		const speed = Object.keys(torrent.peers).length > 0 ? limited(info.up_limit, SPEED / 2) : 0
+		info.upspeed = speed
+		info.uploaded += speed
+		info.uploaded_session += speed
+		mock.allTime.ul += speed
+		info.state = speed > 0 ? (info.force_start ? 'forcedUP' : 'uploading') : 'stalledUP'
+	}
+
+	if (!info.state.startsWith('paused')) {
+		info.time_active += 1
+		info.last_activity = Math.floor(Date.now() / 1000)
+	}
+	info.ratio = info.downloaded > 0 ? Math.round(info.uploaded / info.downloaded * 1000) / 1000 : 0
+	for (const peer of Object.values(torrent.peers)) {
+		peer.dl_speed = info.upspeed > 0 ? Math.round(info.upspeed / Object.keys(torrent.peers).length) : 0
+		peer.up_speed = info.dlspeed > 0 ? Math.round(info.dlspeed / Object.keys(torrent.peers).length) : 0
+		peer.downloaded += peer.dl_speed
+		peer.uploaded += peer.up_speed
+		peer.progress = Math.min(peer.progress + 0.1, 1)
+	}
+}
+
+/**
+ * Mark the trackers of a torrent as working and connect it to peers
+ * @param {MockServer} mock - Server
+ * @param {string} hash - Hash of the torrent
+ */
+function announce(mock, hash) {
+	const torrent = mock.torrents[hash]
+	torrent.trackers.forEach(tracker => Object.assign(tracker, { status: 2, num_peers: 12, num_seeds: 8, num_leeches: 4, num_downloaded: 120 }))
+	torrent.info.tracker = torrent.trackers.length ? torrent.trackers[0].url : ''
+	torrent.info.num_complete = 8
+	torrent.info.num_incomplete = 4
+	const index = Object.keys(mock.torrents).indexOf(hash)
+	for (const [i, client] of [['qBittorrent 4.1.3'], ['Transmission 2.94']].entries()) {
+		const ip = `10.0.${index}.${i + 1}`
+		if (mock.bannedPeers.includes(ip)) continue
+		torrent.peers[`${ip}:6881`] = peer(ip, 6881, client[0])
+	}
+	torrent.info.num_seeds = Object.keys(torrent.peers).length
+}
+
+/**
+ * Update the queue positions of the incomplete torrents
+ * @param {MockServer} mock - Server
+ */
+function queue(mock) {
+	let position = 0
+	for (const { info } of Object.values(mock.torrents).sort((a, b) => (a.info.priority || Infinity) - (b.info.priority || Infinity))) {
+		info.priority = !mock.preferences.queueing_enabled ? -1 : info.progress < 1 ? ++position : 0
+	}
+}
+
+/**
+ * Get the main data, as returned by a full update
+ * @param {MockServer} mock - Server
+ * @return {Object} Main data
+ */
+function mainData(mock) {
+	const torrents = {}
+	for (const [hash, { info }] of Object.entries(mock.torrents)) {
+		torrents[hash] = Object.assign({}, info)
+		delete torrents[hash].hash
+	}
+	const transfer = transferInfo(mock)
+	return {
+		torrents: torrents,
+		categories: JSON.parse(JSON.stringify(mock.categories)),
+		tags: mock.tags.slice(),
+		server_state: Object.assign(transfer, {
+			alltime_dl: mock.allTime.dl,
+			alltime_ul: mock.allTime.ul,
+			free_space_on_disk: 107374182400,
+			global_ratio: mock.allTime.dl > 0 ? (mock.allTime.ul / mock.allTime.dl).toFixed(2) : '0.00',
+			queueing: mock.preferences.queueing_enabled,
+			refresh_interval: 1500,
+			total_peer_connections: Object.values(mock.torrents).reduce((count, torrent) => count + Object.keys(torrent.peers).length, 0),
+			use_alt_speed_limits: mock.altSpeedLimits
+		})
+	}
+}
+
+/**
+ * Get the changes since a response ID, or all the data if the ID is unknown
+ * @param {MockServer} mock - Server
+ * @param {string} key - Key of the data (e.g. `main`, or the hash of a torrent for its peers)
+ * @param {number} rid - Response ID of the last update of the client
+ * @param {Object} data - Current data
+ * @param {Object<string, string>} collections - Property: key of a collection in the data, value: kind of collection (`map` or `list`)
+ * @return {Object} Update, with the new response ID
+ */
+function sync(mock, key, rid, data, collections) {
+	const previous = mock.snapshots.get(`${key}:${rid}`)
+	const update = previous ? diff(previous, data, collections) : Object.assign({ full_update: true }, data)
+
+	update.rid = ++mock.rid
+	mock.snapshots.set(`${key}:${update.rid}`, JSON.parse(JSON.stringify(data)))
+	// Only the recent updates can be used as a base
+	if (mock.snapshots.size > 64) mock.snapshots.delete(mock.snapshots.keys().next().value)
+	return update
+}
+
+/**
+ * Check whether the Web API version of the server is at least a version
+ * @param {MockServer} mock - Server
+ * @param {string} version - Version (e.g. `2.8.0`)
+ * @return {boolean} True if the version of the server is the same or later
+ */
+function atLeast(mock, version) {
+	const [current, required] = [mock.options.apiVersion, version].map(version => version.split('.').map(Number))
+	const i = required.findIndex((part, i) => part != (current[i] || 0))
+	return i < 0 || (current[i] || 0) > required[i]
+}
+
+/**
+ * Get the torrent with a hash
+ * @param {MockServer} mock - Server
+ * @param {string} hash - Hash of the torrent
+ * @return {Object} Torrent
+ * @throws {HttpStatus} 404 if the hash is unknown
+ */
+function find(mock, hash) {
+	const torrent = mock.torrents[(hash || '').toLowerCase()]
+	if (!torrent) throw new HttpStatus(404, 'Not Found')
+	return torrent
+}
+
+/**
+ * Get the torrents with some hashes
+ * @param {MockServer} mock - Server
+ * @param {string} hashes - Hashes separated by `|`, or `all`
+ * @return {Object[]} Torrents, the unknown hashes are ignored
+ */
+function select(mock, hashes) {
+	if (hashes == 'all') return Object.values(mock.torrents)
+	return (hashes || '').split('|').map(hash => mock.torrents[hash.toLowerCase()]).filter(torrent => torrent)
+}
+
+/**
+ * Handlers of the API methods, called with the server, the parameters, the uploaded files and the response.
+ * They return the body of the response (a string, or an object sent as JSON) or throw `HttpStatus`
+ */
+const ROUTES = {
+	// Authentication
+	'/auth/login': (mock, { username, password }, files, res) => {
+		if (mock.failedLogins >= mock.options.maxFailedLogins) throw new HttpStatus(403, 'Your IP address has been banned after too many failed authentication attempts.')
+		if (username != mock.username || password != mock.password) {
+			mock.failedLogins++
+			return 'Fails.'
+		}
+		mock.failedLogins = 0
+		const sid = crypto.randomBytes(16).toString('base64').replace(/[^\w]/g, '')
+		mock.sessions.add(sid)
+		res.setHeader('Set-Cookie', `SID=${sid}; HttpOnly; path=/`)
+		return 'Ok.'
+	},
+	'/auth/logout': (mock, parameters, files, res) => {
+		res.setHeader('Set-Cookie', 'SID=; HttpOnly; path=/; expires=Thu, 01 Jan 1970 00:00:00 GMT')
+		mock.sessions.clear()
+	},
+
+	// Application
+	'/app/version': mock => mock.options.version,
+	'/app/webapiVersion': mock => mock.options.apiVersion,
+	'/app/buildInfo': () => ({ qt: '5.11.1', libtorrent: '1.1.9.0', boost: '1.67.0', openssl: '1.1.0h', bitness: 64 }),
+	'/app/shutdown': mock => {
+		setImmediate(() => mock.close())
+	},
+	'/app/preferences': mock => mock.preferences,
+	'/app/setPreferences': (mock, { json }) => {
+		let preferences
+		try {
+			preferences = JSON.parse(json)
+		} catch (err) {
+			throw new HttpStatus(400, 'Bad Request')
+		}
+		for (const [key, value] of Object.entries(preferences)) {
+			if (key == 'web_ui_password') mock.password = value
+			else if (key == 'web_ui_username') mock.username = mock.preferences[key] = value
+			else if (DEFAULT_PREFERENCES.hasOwnProperty(key) && key != 'dht_port' && key != 'dhtSameAsBT') mock.preferences[key] = value
+		}
+		if (mock.preferences.dhtSameAsBT) mock.preferences.dht_port = mock.preferences.listen_port
+		queue(mock)
+	},
+	'/app/defaultSavePath': mock => mock.preferences.save_path,
+
+	// Log
+	'/log/main': (mock, parameters) => {
+		const types = [['normal', 1], ['info', 2], ['warning', 4], ['critical', 8]]
+			.filter(([name]) => parameters[name] != 'false')
+			.map(([, type]) => type)
+		const lastKnownId = Number(parameters.last_known_id || -1)
+		return mock.logs.filter(entry => entry.id > lastKnownId && types.includes(entry.type))
+	},
+	'/log/peers': (mock, parameters) => {
+		const lastKnownId = Number(parameters.last_known_id || -1)
+		return mock.peerLogs.filter(entry => entry.id > lastKnownId)
+	},
+
+	// Sync
+	'/sync/maindata': (mock, { rid }) => sync(mock, 'main', Number(rid || 0), mainData(mock), { torrents: 'map', categories: 'map', tags: 'list', server_state: 'object' }),
+	'/sync/torrentPeers': (mock, { hash, rid }) => {
+		const torrent = find(mock, hash)
+		return Object.assign(sync(mock, torrent.info.hash, Number(rid || 0), { peers: JSON.parse(JSON.stringify(torrent.peers)) }, { peers: 'map' }), { show_flags: true })
+	},
+
+	// Transfer info
+	'/transfer/info': mock => transferInfo(mock),
+	'/transfer/speedLimitsMode': mock => mock.altSpeedLimits ? '1' : '0',
+	'/transfer/toggleSpeedLimitsMode': mock => {
+		mock.altSpeedLimits = !mock.altSpeedLimits
+	},
+	'/transfer/downloadLimit': mock => String(transferInfo(mock).dl_rate_limit),
+	'/transfer/uploadLimit': mock => String(transferInfo(mock).up_rate_limit),
+	'/transfer/setDownloadLimit': (mock, { limit }) => {
+		mock.preferences[mock.altSpeedLimits ? 'alt_dl_limit' : 'dl_limit'] = Number(limit) > 0 ? Math.round(Number(limit) / 1024) : -1
+	},
+	'/transfer/setUploadLimit': (mock, { limit }) => {
+		mock.preferences[mock.altSpeedLimits ? 'alt_up_limit' : 'up_limit'] = Number(limit) > 0 ? Math.round(Number(limit) / 1024) : -1
+	},
+	'/transfer/banPeers': (mock, { peers }) => {
+		for (const key of (peers || '').split('|').filter(key => key)) {
+			const ip = key.slice(0, key.lastIndexOf(':'))
+			if (!mock.bannedPeers.includes(ip)) mock.bannedPeers.push(ip)
+			for (const torrent of Object.values(mock.torrents)) delete torrent.peers[key]
+			mock.peerLogs.push({ id: mock.peerLogs.length, ip: ip, timestamp: Date.now(), blocked: true, reason: 'Manually banned' })
+		}
+	},
+
+	// Torrent management
+	'/torrents/info': (mock, parameters) => {
+		const hashes = parameters.hashes ? parameters.hashes.toLowerCase().split('|') : null
+		let torrents = Object.values(mock.torrents).map(torrent => Object.assign({}, torrent.info))
+			.filter(torrent => matchesFilter(torrent, parameters.filter || 'all'))
+			.filter(torrent => parameters.category === undefined || torrent.category == parameters.category)
+			.filter(torrent => parameters.tag === undefined || (parameters.tag == '' ? torrent.tags == '' : splitTags(torrent.tags).includes(parameters.tag)))
+			.filter(torrent => !hashes || hashes.includes(torrent.hash))
+
+		if (parameters.sort) {
+			const key = parameters.sort
+			torrents.sort((a, b) => a[key] < b[key] ? -1 : a[key] > b[key] ? 1 : 0)
+		}
+		if (parameters.reverse == 'true') torrents.reverse()
+		let offset = Number(parameters.offset || 0)
+		if (offset < 0) offset = Math.max(torrents.length + offset, 0)
+		const limit = Number(parameters.limit || 0)
+		return torrents.slice(offset, limit > 0 ? offset + limit : undefined)
+	},
+	'/torrents/properties': (mock, { hash }) => {
+		const torrent = find(mock, hash)
+		const info = torrent.info
+		const pieces = Math.ceil(info.total_size / torrent.pieceSize)
+		return {
+			save_path: info.save_path,
+			creation_date: torrent.creationDate,
+			piece_size: torrent.pieceSize,
+			comment: torrent.comment,
+			total_wasted: 0,
+			total_uploaded: info.uploaded,
+			total_uploaded_session: info.uploaded_session,
+			total_downloaded: info.downloaded,
+			total_downloaded_session: info.downloaded_session,
+			up_limit: info.up_limit,
+			dl_limit: info.dl_limit,
+			time_elapsed: info.time_active,
+			seeding_time: info.progress == 1 ? info.time_active : 0,
+			nb_connections: Object.keys(torrent.peers).length,
+			nb_connections_limit: mock.preferences.max_connec_per_torrent,
+			share_ratio: info.ratio,
+			addition_date: info.added_on,
+			completion_date: info.completion_on,
+			created_by: torrent.createdBy,
+			dl_speed_avg: info.time_active > 0 ? Math.round(info.downloaded_session / info.time_active) : 0,
+			dl_speed: info.dlspeed,
+			eta: info.eta,
+			last_seen: info.seen_complete,
+			peers: info.num_leechs,
+			peers_total: info.num_incomplete,
+			pieces_have: Math.floor(pieces * info.progress),
+			pieces_num: pieces,
+			reannounce: 1800,
+			seeds: info.num_seeds,
+			seeds_total: info.num_complete,
+			total_size: info.total_size,
+			up_speed_avg: info.time_active > 0 ? Math.round(info.uploaded_session / info.time_active) : 0,
+			up_speed: info.upspeed
+		}
+	},
+	'/torrents/trackers': (mock, { hash }) => find(mock, hash).trackers,
+	'/torrents/webseeds': (mock, { hash }) => find(mock, hash).webseeds,
+	'/torrents/files': (mock, { hash }) => find(mock, hash).files,
+	'/torrents/pieceStates': (mock, { hash }) => {
+		const torrent = find(mock, hash)
+		const pieces = Math.ceil(torrent.info.total_size / torrent.pieceSize)
+		const have = Math.floor(pieces * torrent.info.progress)
+		const downloading = torrent.info.dlspeed > 0 ? 1 : 0
+		return Array.from({ length: pieces }, (value, i) => i < have ? 2 : i < have + downloading ? 1 : 0)
+	},
+	'/torrents/pieceHashes': (mock, { hash }) => {
+		const torrent = find(mock, hash)
+		const pieces = Math.ceil(torrent.info.total_size / torrent.pieceSize)
+		return Array.from({ length: pieces }, (value, i) => crypto.createHash('sha1').update(`${torrent.info.hash}:${i}`).digest('hex'))
+	},
+	'/torrents/pause': (mock, { hashes }) => {
+		for (const { info } of select(mock, hashes)) {
+			Object.assign(info, { state: info.progress == 1 ? 'pausedUP' : 'pausedDL', dlspeed: 0, upspeed: 0 })
+		}
+	},
+	'/torrents/resume': (mock, { hashes }) => {
+		for (const { info } of select(mock, hashes)) {
+			if (info.state.startsWith('paused')) info.state = info.progress == 1 ? 'stalledUP' : 'downloading'
+		}
+	},
+	'/torrents/delete': (mock, { hashes, deleteFiles }) => {
+		for (const { info } of select(mock, hashes)) {
+			delete mock.torrents[info.hash]
+			mock.log(`'${info.name}' was removed from the transfer list${deleteFiles == 'true' ? ' and hard disk' : ''}.`, 1)
+		}
+		queue(mock)
+	},
+	'/torrents/recheck': (mock, { hashes }) => {
+		for (const { info } of select(mock, hashes)) {
+			if (info.state != 'metaDL') info.state = info.progress == 1 ? 'checkingUP' : 'checkingDL'
+		}
+	},
+	'/torrents/reannounce': (mock, { hashes }) => {
+		for (const { info } of select(mock, hashes)) announce(mock, info.hash)
+	},
+	'/torrents/editTracker': (mock, { hash, origUrl, newUrl }) => {
+		const torrent = find(mock, hash)
+		if (!/^[a-z]+:\/\/\S+$/i.test(newUrl || '')) throw new HttpStatus(400, 'New tracker URL is invalid')
+		const tracker = torrent.trackers.find(tracker => tracker.url == origUrl)
+		if (!tracker || torrent.trackers.some(tracker => tracker.url == newUrl)) throw new HttpStatus(409, 'Conflict')
+		Object.assign(tracker, { url: newUrl, status: 1 })
+		if (torrent.info.tracker == origUrl) torrent.info.tracker = ''
+	},
+	'/torrents/removeTrackers': (mock, { hash, urls }) => {
+		const torrent = find(mock, hash)
+		const removed = (urls || '').split('|')
+		const trackers = torrent.trackers.filter(tracker => !removed.includes(tracker.url))
+		if (trackers.length == torrent.trackers.length) throw new HttpStatus(409, 'Conflict')
+		torrent.trackers = trackers
+		if (removed.includes(torrent.info.tracker)) torrent.info.tracker = (trackers.find(tracker => tracker.status == 2) || { url: '' }).url
+	},
+	'/torrents/addPeers': (mock, { hashes, peers }) => {
+		const keys = (peers || '').split('|')
+		if (!keys.every(key => /^[^:]+:\d+$|^\[.+\]:\d+$/.test(key))) throw new HttpStatus(400, 'Bad Request')
+		for (const torrent of select(mock, hashes)) {
+			for (const key of keys) {
+				const ip = key.slice(0, key.lastIndexOf(':'))
+				if (!mock.bannedPeers.includes(ip)) torrent.peers[key] = peer(ip, Number(key.slice(key.lastIndexOf(':') + 1)), '')
+			}
+		}
+	},
+	'/torrents/add': (mock, parameters, files) => {
+		const added = []
+		for (const url of (parameters.urls || '').split('\n').map(url => url.trim()).filter(url => url)) {
+			added.push(fromUrl(url))
+		}
+		for (const file of files.filter(file => file.name == 'torrents')) {
+			try {
+				added.push(fromTorrentFile(file.data))
+			} catch (err) {
+				mock.log(`Couldn't load torrent '${file.filename}': ${err.message}`, 8)
+			}
+		}
+
+		let count = 0
+		for (const torrent of added) {
+			if (mock.torrents[torrent.hash]) continue
+			const paused = parameters.paused !== undefined ? parameters.paused == 'true' : mock.preferences.start_paused_enabled
+			const info = mock.addTorrent(Object.assign(torrent, {
+				name: parameters.rename || torrent.name,
+				save_path: parameters.savepath || (parameters.category && mock.categories[parameters.category] && mock.categories[parameters.category].savePath) || mock.preferences.save_path,
+				category: parameters.category || '',
+				tags: splitTags(parameters.tags).join(', '),
+				auto_tmm: parameters.autoTMM !== undefined ? parameters.autoTMM == 'true' : mock.preferences.auto_tmm_enabled,
+				seq_dl: parameters.sequentialDownload == 'true',
+				f_l_piece_prio: parameters.firstLastPiecePrio == 'true',
+				up_limit: parameters.upLimit ? Number(parameters.upLimit) : -1,
+				dl_limit: parameters.dlLimit ? Number(parameters.dlLimit) : -1,
+				ratio_limit: parameters.ratioLimit ? Number(parameters.ratioLimit) : -2,
+				seeding_time_limit: parameters.seedingTimeLimit ? Number(parameters.seedingTimeLimit) : -2,
+				progress: parameters.skip_checking == 'true' && !torrent.magnet ? 1 : 0
+			}))
+			const state = torrent.magnet ? 'metaDL' : info.progress == 1 ? 'uploading' : 'checkingResumeData'
+			mock.torrents[info.hash].info.state = paused ? (info.progress == 1 ? 'pausedUP' : 'pausedDL') : state
+			count++
+		}
+		return count > 0 ? 'Ok.' : 'Fails.'
+	},
+	'/torrents/addTrackers': (mock, { hash, urls }) => {
+		const torrent = find(mock, hash)
+		for (const url of (urls || '').split('\n').map(url => url.trim()).filter(url => url)) {
+			if (!torrent.trackers.some(tracker => tracker.url == url)) torrent.trackers.push(tracker(url, torrent.trackers.length))
+		}
+	},
+	'/torrents/increasePrio': (mock, { hashes }) => prioritize(mock, hashes, (priority, count) => Math.max(priority - 1.5, 0)),
+	'/torrents/decreasePrio': (mock, { hashes }) => prioritize(mock, hashes, (priority, count) => priority + 1.5),
+	'/torrents/topPrio': (mock, { hashes }) => prioritize(mock, hashes, (priority, count) => priority / (count + 1) - count),
+	'/torrents/bottomPrio': (mock, { hashes }) => prioritize(mock, hashes, (priority, count) => priority + count * 2),
+	'/torrents/filePrio': (mock, { hash, id, priority }) => {
+		const torrent = find(mock, hash)
+		if (![0, 1, 6, 7].includes(Number(priority))) throw new HttpStatus(400, 'Priority is invalid')
+		const files = (id || '').split('|').map(Number)
+		if (files.some(id => !torrent.files[id])) throw new HttpStatus(409, 'File IDs are invalid')
+		files.forEach(id => torrent.files[id].priority = Number(priority))
+	},
+	'/torrents/downloadLimit': (mock, { hashes }) => limits(mock, hashes, 'dl_limit'),
+	'/torrents/setDownloadLimit': (mock, { hashes, limit }) => {
+		for (const { info } of select(mock, hashes)) info.dl_limit = Number(limit) > 0 ? Number(limit) : -1
+	},
+	'/torrents/setShareLimits': (mock, { hashes, ratioLimit, seedingTimeLimit }) => {
+		for (const { info } of select(mock, hashes)) {
+			info.ratio_limit = Number(ratioLimit)
+			info.seeding_time_limit = Number(seedingTimeLimit)
+			info.max_ratio = info.ratio_limit == -2 ? (mock.preferences.max_ratio_enabled ? mock.preferences.max_ratio : -1) : info.ratio_limit
+			info.max_seeding_time = info.seeding_time_limit == -2 ? -1 : info.seeding_time_limit
+		}
+	},
+	'/torrents/uploadLimit': (mock, { hashes }) => limits(mock, hashes, 'up_limit'),
+	'/torrents/setUploadLimit': (mock, { hashes, limit }) => {
+		for (const { info } of select(mock, hashes)) info.up_limit = Number(limit) > 0 ? Number(limit) : -1
+	},
+	'/torrents/setLocation': (mock, { hashes, location }) => {
+		if (!location) throw new HttpStatus(400, 'Save path is empty')
+		for (const { info } of select(mock, hashes)) {
+			info.save_path = location.endsWith('/') ? location : location + '/'
+			if (!info.state.startsWith('paused')) info.state = 'moving'
+		}
+	},
+	'/torrents/rename': (mock, { hash, name }) => {
+		if (!name) throw new HttpStatus(409, 'Incorrect torrent name')
+		find(mock, hash).info.name = name
+	},
+	'/torrents/setCategory': (mock, { hashes, category }) => {
+		if (category && !mock.categories[category]) throw new HttpStatus(409, 'Incorrect category name')
+		for (const { info } of select(mock, hashes)) info.category = category || ''
+	},
+	'/torrents/categories': mock => mock.categories,
+	'/torrents/createCategory': (mock, { category, savePath }) => {
+		if (!category) throw new HttpStatus(400, 'Category name is empty')
+		if (mock.categories[category] || /^\/|\/$|\/\//.test(category)) throw new HttpStatus(409, 'Category name is invalid')
+		mock.categories[category] = { name: category, savePath: savePath || '' }
+	},
+	'/torrents/editCategory': (mock, { category, savePath }) => {
+		if (!category) throw new HttpStatus(400, 'Category name is empty')
+		if (!mock.categories[category]) throw new HttpStatus(409, 'Category editing failed')
+		mock.categories[category].savePath = savePath || ''
+	},
+	'/torrents/removeCategories': (mock, { categories }) => {
+		for (const category of (categories || '').split('\n')) {
+			if (!mock.categories[category]) continue
+			delete mock.categories[category]
+			for (const { info } of Object.values(mock.torrents)) {
+				if (info.category == category) info.category = ''
+			}
+		}
+	},
+	'/torrents/addTags': (mock, { hashes, tags }) => {
+		for (const tag of splitTags(tags)) {
+			if (!mock.tags.includes(tag)) mock.tags.push(tag)
+			for (const { info } of select(mock, hashes)) {
+				const current = splitTags(info.tags)
+				if (!current.includes(tag)) info.tags = current.concat(tag).sort().join(', ')
+			}
+		}
+	},
+	'/torrents/removeTags': (mock, { hashes, tags }) => {
+		// Without tags, all the tags of the torrents are removed
+		const removed = tags ? splitTags(tags) : null
+		for (const { info } of select(mock, hashes)) {
+			info.tags = splitTags(info.tags).filter(tag => removed && !removed.includes(tag)).join(', ')
+		}
+	},
+	'/torrents/tags': mock => mock.tags,
+	'/torrents/createTags': (mock, { tags }) => {
+		for (const tag of splitTags(tags)) {
+			if (!mock.tags.includes(tag)) mock.tags.push(tag)
+		}
+	},
+	'/torrents/deleteTags': (mock, { tags }) => {
+		const removed = splitTags(tags)
+		mock.tags = mock.tags.filter(tag => !removed.includes(tag))
+		for (const { info } of Object.values(mock.torrents)) {
+			info.tags = splitTags(info.tags).filter(tag => !removed.includes(tag)).join(', ')
+		}
+	},
+	'/torrents/setAutoManagement': (mock, { hashes, enable }) => {
+		for (const { info } of select(mock, hashes)) {
+			info.auto_tmm = enable == 'true'
+			if (info.auto_tmm && info.category && mock.categories[info.category].savePath) info.save_path = mock.categories[info.category].savePath
+		}
+	},
+	'/torrents/toggleSequentialDownload': (mock, { hashes }) => {
+		for (const { info } of select(mock, hashes)) info.seq_dl = !info.seq_dl
+	},
+	'/torrents/toggleFirstLastPiecePrio': (mock, { hashes }) => {
+		for (const { info } of select(mock, hashes)) info.f_l_piece_prio = !info.f_l_piece_prio
+	},
+	'/torrents/setForceStart': (mock, { hashes, value }) => {
+		for (const { info } of select(mock, hashes)) {
+			info.force_start = value == 'true'
+			if (info.force_start && info.state.startsWith('paused')) info.state = info.progress == 1 ? 'forcedUP' : 'forcedDL'
+			else if (info.state.startsWith('forced') || info.state.endsWith('DL') || info.state == 'downloading' || info.state == 'uploading') {
+				info.state = info.progress == 1 ? (info.force_start ? 'forcedUP' : 'uploading') : (info.force_start ? 'forcedDL' : 'downloading')
+			}
+		}
+	},
+	'/torrents/setSuperSeeding': (mock, { hashes, value }) => {
+		for (const { info } of select(mock, hashes)) info.super_seeding = value == 'true'
+	},
+	'/torrents/renameFile': (mock, { hash, id, name, oldPath, newPath }) => {
+		const torrent = find(mock, hash)
+		// Web API 2.8.0 renames by path instead of id and name
+		if (atLeast(mock, '2.8.0')) {
+			if (!oldPath || !newPath) throw new HttpStatus(400, 'Bad Request')
+			const file = torrent.files.find(file => file.name == oldPath)
+			if (!file) throw new HttpStatus(409, 'Invalid file path')
+			if (torrent.files.some(other => other != file && other.name == newPath)) throw new HttpStatus(409, 'Name is already in use')
+			file.name = newPath
+			return
+		}
+		const file = torrent.files[Number(id)]
+		if (!name) throw new HttpStatus(400, 'Name cannot be empty')
+		if (!file) throw new HttpStatus(409, 'ID is not valid')
+		const folder = file.name.includes('/') ? file.name.slice(0, file.name.lastIndexOf('/') + 1) : ''
+		if (torrent.files.some(other => other != file && other.name == folder + name)) throw new HttpStatus(409, 'Name is already in use')
+		file.name = folder + name
+	},
+	'/torrents/renameFolder': (mock, { hash, oldPath, newPath }) => {
+		if (!atLeast(mock, '2.8.0')) throw new HttpStatus(404, 'Not Found')
+		const torrent = find(mock, hash)
+		if (!oldPath || !newPath) throw new HttpStatus(400, 'Bad Request')
+		const [from, to] = [oldPath, newPath].map(path => path.replace(/\/+$/, '') + '/')
+		const files = torrent.files.filter(file => file.name.startsWith(from))
+		if (!files.length) throw new HttpStatus(409, 'Invalid folder path')
+		if (torrent.files.some(file => file.name.startsWith(to))) throw new HttpStatus(409, 'Name is already in use')
+		files.forEach(file => file.name = to + file.name.slice(from.length))
+	},
+
+	// Search
+	'/search/start': (mock, { pattern, plugins, category }) => {
+		if (Object.values(mock.searches).filter(search => search.status == 'Running').length >= MAX_RUNNING_SEARCHES) {
+			throw new HttpStatus(409, `Unable to create more than ${MAX_RUNNING_SEARCHES} concurrent searches.`)
+		}
+		const names = (plugins || 'enabled').split('|')
+		const used = mock.plugins.filter(plugin => names.includes('all') || (names.includes('enabled') && plugin.enabled) || names.includes(plugin.name))
+		const id = ++mock.searchId
+		const results = []
+		for (const plugin of used) {
+			results.push(...mock.options.searchResults(pattern, plugin, category || 'all'))
+		}
+		mock.searches[id] = { id: id, status: 'Running', results: results, visible: 0, polls: 0 }
+		return { id: id }
+	},
+	'/search/stop': (mock, { id }) => {
+		const search = mock.searches[id]
+		if (!search) throw new HttpStatus(404, 'Not Found')
+		search.status = 'Stopped'
+	},
+	'/search/status': (mock, { id }) => {
+		if (id !== undefined && !mock.searches[id]) throw new HttpStatus(404, 'Not Found')
+		const searches = id !== undefined ? [mock.searches[id]] : Object.values(mock.searches)
+		return searches.map(search => {
+			progress(search)
+			return { id: search.id, status: search.status, total: search.visible }
+		})
+	},
+	'/search/results': (mock, { id, limit, offset }) => {
+		const search = mock.searches[id]
+		if (!search) throw new HttpStatus(404, 'Not Found')
+		progress(search)
+		let start = Number(offset || 0)
+		if (start < 0) start = Math.max(search.visible + start, 0)
+		if (start > search.visible) throw new HttpStatus(409, 'Offset is too large')
+		const end = Number(limit) > 0 ? Math.min(start + Number(limit), search.visible) : search.visible
+		return { results: search.results.slice(start, end), status: search.status, total: search.visible }
+	},
+	'/search/delete': (mock, { id }) => {
+		if (!mock.searches[id]) throw new HttpStatus(404, 'Not Found')
+		delete mock.searches[id]
+	},
+	'/search/categories': (mock, { pluginName }) => {
+		const name = pluginName || 'all'
+		const plugins = mock.plugins.filter(plugin => name == 'all' || (name == 'enabled' && plugin.enabled) || plugin.name == name)
+		return plugins.reduce((categories, plugin) => categories.concat(plugin.supportedCategories.filter(category => !categories.includes(category))), [])
+	},
+	'/search/plugins': mock => mock.plugins,
+	'/search/installPlugin': (mock, { sources }) => {
+		for (const source of (sources || '').split('|').filter(source => source)) {
+			const name = source.replace(/.*[/\\]/, '').replace(/\.py$/, '')
+			if (!mock.plugins.some(plugin => plugin.name == name)) {
+				mock.plugins.push({ enabled: true, fullName: name, name: name, supportedCategories: ['all'], url: source, version: '1.0' })
+			}
+		}
+	},
+	'/search/uninstallPlugin': (mock, { names }) => {
+		const removed = (names || '').split('|')
+		mock.plugins = mock.plugins.filter(plugin => !removed.includes(plugin.name))
+	},
+	'/search/enablePlugin': (mock, { names, enable }) => {
+		const enabled = (names || '').split('|')
+		mock.plugins.filter(plugin => enabled.includes(plugin.name)).forEach(plugin => plugin.enabled = enable == 'true')
+	},
+	'/search/updatePlugins': () => {},
+
+	// RSS
+	'/rss/addFolder': (mock, { path }) => {
+		const { parent, name } = rssPath(mock, path)
+		if (!parent || !name || parent[name]) throw new HttpStatus(409, 'Conflict')
+		parent[name] = {}
+	},
+	'/rss/addFeed': (mock, { url, path }) => {
+		const { parent, name } = rssPath(mock, path || url)
+		if (!parent || !name || parent[name] || rssFeeds(mock.rssItems).some(([, feed]) => feed.url == url)) throw new HttpStatus(409, 'Conflict')
+		parent[name] = { uid: `{${crypto.randomUUID()}}`, url: url, title: '', lastBuildDate: '', isLoading: true, hasError: false, articles: [] }
+	},
+	'/rss/removeItem': (mock, { path }) => {
+		const { parent, name } = rssPath(mock, path)
+		if (!parent || !parent[name]) throw new HttpStatus(409, 'Conflict')
+		delete parent[name]
+	},
+	'/rss/moveItem': (mock, { itemPath, destPath }) => {
+		const source = rssPath(mock, itemPath)
+		const destination = rssPath(mock, destPath)
+		if (!source.parent || !source.parent[source.name] || !destination.parent || destination.parent[destination.name]) throw new HttpStatus(409, 'Conflict')
+		destination.parent[destination.name] = source.parent[source.name]
+		delete source.parent[source.name]
+	},
+	'/rss/items': (mock, { withData }) => rssTree(mock.rssItems, withData == 'true'),
+	'/rss/markAsRead': (mock, { itemPath, articleId }) => {
+		const { parent, name } = rssPath(mock, itemPath)
+		if (!parent || !parent[name]) throw new HttpStatus(409, 'Conflict')
+		for (const [, feed] of rssFeeds({ [name]: parent[name] })) {
+			feed.articles.filter(article => !articleId || article.id == articleId).forEach(article => article.isRead = true)
+		}
+	},
+	'/rss/refreshItem': (mock, { itemPath }) => {
+		const { parent, name } = rssPath(mock, itemPath)
+		if (!parent || !parent[name]) throw new HttpStatus(409, 'Conflict')
+		for (const [, feed] of rssFeeds({ [name]: parent[name] })) {
+			Object.assign(feed, { isLoading: false, lastBuildDate: new Date().toUTCString(), title: feed.title || feed.url })
+		}
+	},
+	'/rss/setRule': (mock, { ruleName, ruleDef }) => {
+		let definition
+		try {
+			definition = JSON.parse(ruleDef)
+		} catch (err) {
+			throw new HttpStatus(400, 'Bad Request')
+		}
+		mock.rssRules[ruleName] = Object.assign({
+			enabled: true, mustContain: '', mustNotContain: '', useRegex: false, episodeFilter: '', smartFilter: false, previouslyMatchedEpisodes: [],
+			affectedFeeds: [], ignoreDays: 0, lastMatch: '', addPaused: null, assignedCategory: '', savePath: ''
+		}, mock.rssRules[ruleName], definition)
+	},
+	'/rss/renameRule': (mock, { ruleName, newRuleName }) => {
+		if (!mock.rssRules[ruleName]) throw new HttpStatus(409, 'Conflict')
+		mock.rssRules[newRuleName] = mock.rssRules[ruleName]
+		delete mock.rssRules[ruleName]
+	},
+	'/rss/removeRule': (mock, { ruleName }) => {
+		delete mock.rssRules[ruleName]
+	},
+	'/rss/rules': mock => mock.rssRules,
+	'/rss/matchingArticles': (mock, { ruleName }) => {
+		const rule = mock.rssRules[ruleName]
+		if (!rule) throw new HttpStatus(409, 'Conflict')
+		const matches = {}
+		for (const [name, feed] of rssFeeds(mock.rssItems)) {
+			if (!rule.affectedFeeds.includes(feed.url)) continue
+			const titles = feed.articles.filter(article => ruleMatches(rule, article.title)).map(article => article.title)
+			if (titles.length > 0) matches[name] = titles
+		}
+		return matches
+	}
+}
+
+/**
+ * Parse the body of a request
+ * @param {string} type - Content type of the request
+ * @param {Buffer} body - Body of the request
+ * @return {{parameters: Object<string, string>, files: Object[]}} Text fields, and files with their field `name`, `filename` and `data`
+ */
+function parseBody(type, body) {
+	const parameters = {}
+	const files = []
+	const boundary = /multipart\/form-data;.*boundary=(?:"([^"]+)"|([^;]+))/i.exec(type)
+
+	if (!boundary) {
+		for (const [key, value] of new URLSearchParams(body.toString())) parameters[key] = value
+		return { parameters, files }
+	}
+
+	const delimiter = Buffer.from(`--${boundary[1] || boundary[2]}`)
+	let start = body.indexOf(delimiter)
+	while (start >= 0) {
+		const end = body.indexOf(delimiter, start + delimiter.length)
+		if (end < 0) break
+		const part = body.slice(start + delimiter.length + 2, end - 2)
+		const separator = part.indexOf('\r\n\r\n')
+		const headers = part.slice(0, separator).toString()
+		const data = part.slice(separator + 4)
+		const name = /name="([^"]*)"/.exec(headers)
+		const filename = /filename="([^"]*)"/.exec(headers)
+		if (name && filename) files.push({ name: name[1], filename: filename[1], data: data })
+		else if (name) parameters[name[1]] = data.toString()
+		start = end
+	}
+	return { parameters, files }
+}
+
+/**
+ * Decode bencoded data
+ * @param {Buffer} data - Bencoded data
+ * @param {number} [position] - Position of the value to decode
+ * @return {{value: *, end: number, info: Buffer}} Decoded value, position after it, and raw `info` dictionary if one was found
+ * @throws {Error} If the data is not valid bencode
+ */
+function bdecode(data, position = 0) {
+	const type = String.fromCharCode(data[position])
+	if (type == 'i') {
+		const end = data.indexOf('e', position)
+		if (end < 0) throw new Error('Invalid integer')
+		return { value: Number(data.slice(position + 1, end).toString()), end: end + 1 }
+	}
+	if (type == 'l' || type == 'd') {
+		const value = type == 'l' ? [] : {}
+		let info
+		position++
+		while (data[position] != 0x65) {
+			if (position >= data.length) throw new Error('Unterminated ' + (type == 'l' ? 'list' : 'dictionary'))
+			if (type == 'l') {
+				const item = bdecode(data, position)
+				value.push(item.value)
+				position = item.end
+			} else {
+				const key = bdecode(data, position)
+				const item = bdecode(data, key.end)
+				value[key.value.toString()] = item.value
+				if (key.value.toString() == 'info') info = data.slice(key.end, item.end)
+				position = item.end
+			}
+		}
+		return { value: value, end: position + 1, info: info }
+	}
+	if (type >= '0' && type <= '9') {
+		const colon = data.indexOf(':', position)
+		const length = Number(data.slice(position, colon).toString())
+		if (colon < 0 || isNaN(length) || colon + 1 + length > data.length) throw new Error('Invalid string')
+		return { value: data.slice(colon + 1, colon + 1 + length), end: colon + 1 + length }
+	}
+	throw new Error('Invalid bencode')
+}
+
+/**
+ * Read the metadata of a .torrent file
+ * @param {Buffer} data - Content of the .torrent file
+ * @return {Object} Torrent to add, with its `hash`, `name`, `size`, `files`, `trackers`, `piece_size`, `comment`, `created_by` and `creation_date`
+ * @throws {Error} If the file is not a valid torrent
+ */
+function fromTorrentFile(data) {
+	const { value, info } = bdecode(data)
+	if (!info || !value.info.name) throw new Error('Not a torrent file')
+	const name = value.info.name.toString()
+	const files = value.info.files
+		? value.info.files.map(file => ({ name: [name].concat(file.path.map(part => part.toString())).join('/'), size: file.length }))
+		: [{ name: name, size: value.info.length }]
+	const trackers = [].concat(...(value['announce-list'] || [[value.announce]])).filter(url => url).map(url => url.toString())
+	return {
+		hash: crypto.createHash('sha1').update(info).digest('hex'),
+		name: name,
+		size: files.reduce((size, file) => size + file.size, 0),
+		files: files,
+		trackers: trackers,
+		piece_size: value.info['piece length'],
+		comment: value.comment ? value.comment.toString() : '',
+		created_by: value['created by'] ? value['created by'].toString() : '',
+		creation_date: value['creation date']
+	}
+}
+
+/**
+ * Create the torrent of a URL, without downloading it
+ * @param {string} url - Magnet link, or URL of a .torrent file
+ * @return {Object} Torrent to add, with its `hash` and `name`, and `magnet` set for magnet links
+ */
+function fromUrl(url) {
+	if (url.toLowerCase().startsWith('magnet:')) {
+		const parameters = new URLSearchParams(url.slice(url.indexOf('?') + 1))
+		const xt = /urn:btih:([0-9a-f]{40})/i.exec(parameters.get('xt') || '')
+		const hash = xt ? xt[1].toLowerCase() : crypto.createHash('sha1').update(url).digest('hex')
+		return { hash: hash, name: parameters.get('dn') || hash, magnet: true, trackers: parameters.getAll('tr') }
+	}
+	const name = decodeURIComponent(url.replace(/[?#].*/, '').replace(/.*\//, '').replace(/\.torrent$/i, '')) || url
+	return { hash: crypto.createHash('sha1').update(url).digest('hex'), name: name }
+}
+
+/**
+ * Create a tracker of a torrent, not contacted yet
+ * @param {string} url - URL of the tracker
+ * @param {number} tier - Tier of the tracker
+ * @return {Tracker} Tracker
+ */
+function tracker(url, tier) {
+	return { url: url, status: 1, tier: tier, num_peers: 0, num_seeds: 0, num_leeches: 0, num_downloaded: 0, msg: '' }
+}
+
+/**
+ * Create a peer of a torrent
+ * @param {string} ip - IP address of the peer
+ * @param {number} port - Port of the peer
+ * @param {string} client - Client used by the peer
+ * @return {Peer} Peer
+ */
+function peer(ip, port, client) {
+	return {
+		client: client,
+		connection: 'BT',
+		country: '',
+		country_code: '',
+		dl_speed: 0,
+		downloaded: 0,
+		files: '',
+		flags: 'D U',
+		flags_desc: 'D = interested(local) and unchoked(peer)\nU = interested(peer) and unchoked(local)',
+		ip: ip,
+		port: port,
+		progress: 0.5,
+		relevance: 1,
+		up_speed: 0,
+		uploaded: 0
+	}
+}
+
+/**
+ * Get the global transfer info
+ * @param {MockServer} mock - Server
+ * @return {TransferInfo} Transfer info
+ */
+function transferInfo(mock) {
+	const torrents = Object.values(mock.torrents).map(torrent => torrent.info)
+	const limit = key => {
+		const value = mock.preferences[(mock.altSpeedLimits ? 'alt_' : '') + key]
+		return value > 0 ? value * 1024 : 0
+	}
+	return {
+		connection_status: 'connected',
+		dht_nodes: mock.preferences.dht ? 312 : 0,
+		dl_info_data: torrents.reduce((total, torrent) => total + torrent.downloaded_session, 0),
+		dl_info_speed: torrents.reduce((total, torrent) => total + torrent.dlspeed, 0),
+		dl_rate_limit: limit('dl_limit'),
+		up_info_data: torrents.reduce((total, torrent) => total + torrent.uploaded_session, 0),
+		up_info_speed: torrents.reduce((total, torrent) => total + torrent.upspeed, 0),
+		up_rate_limit: limit('up_limit')
+	}
+}
+
+/**
+ * Check whether a torrent matches a status filter of the torrent list
+ * @param {Torrent} torrent - Torrent
+ * @param {string} filter - Status filter
+ * @return {boolean} True if the torrent matches
+ */
+function matchesFilter(torrent, filter) {
+	switch (filter) {
+		case 'downloading': return DOWNLOADING_STATES.includes(torrent.state)
+		case 'completed': return torrent.progress == 1
+		case 'paused': return torrent.state.startsWith('paused')
+		case 'resumed': return !torrent.state.startsWith('paused')
+		case 'active': return torrent.dlspeed > 0 || torrent.upspeed > 0
+		case 'inactive': return torrent.dlspeed == 0 && torrent.upspeed == 0
+		default: return true
+	}
+}
+
+/**
+ * Move torrents in the download queue
+ * @param {MockServer} mock - Server
+ * @param {string} hashes - Hashes of the torrents, separated by `|`, or `all`
+ * @param {function(number, number): number} position - Function computing the new position from the current one and the number of torrents
+ * @throws {HttpStatus} 409 if queueing is disabled
+ */
+function prioritize(mock, hashes, position) {
+	if (!mock.preferences.queueing_enabled) throw new HttpStatus(409, 'Torrent queueing must be enabled')
+	const torrents = select(mock, hashes).filter(torrent => torrent.info.progress < 1)
+	torrents.forEach(torrent => torrent.info.priority = position(torrent.info.priority, Object.keys(mock.torrents).length))
+	queue(mock)
+}
+
+/**
+ * Get the speed limits of torrents
+ * @param {MockServer} mock - Server
+ * @param {string} hashes - Hashes of the torrents, separated by `|`, or `all`
+ * @param {string} key - Property of the limit (`dl_limit` or `up_limit`)
+ * @return {Object<string, number>} Property: hash, value: limit in bytes per second, `-1` if unlimited
+ */
+function limits(mock, hashes, key) {
+	const limits = {}
+	for (const { info } of select(mock, hashes)) limits[info.hash] = info[key]
+	return limits
+}
+
+/**
+ * Apply a speed limit to a speed
+ * @param {number} limit - Speed limit, `-1` or `0` if unlimited
+ * @param {number} speed - Speed without limit
+ * @return {number} Limited speed
+ */
+function limited(limit, speed) {
+	return limit > 0 ? Math.min(limit, speed) : speed
+}
+
+/**
+ * Split a tag list
+ * @param {string} tags - Tags separated by `,`
+ * @return {string[]} Tags
+ */
+function splitTags(tags) {
+	return (tags || '').split(',').map(tag => tag.trim()).filter(tag => tag)
+}
+
+/**
+ * Compute the changes between two versions of the data, as in the partial updates of the sync API
+ * @param {Object} previous - Data sent with the last update
+ * @param {Object} current - Current data
+ * @param {Object<string, string>} collections - Property: key of a collection in the data, value: kind of collection (`map`, `list` or `object`)
+ * @return {Object} Changes
+ */
+function diff(previous, current, collections) {
+	const update = {}
+	for (const [key, kind] of Object.entries(collections)) {
+		const before = previous[key]
+		const after = current[key]
+		if (kind == 'list') {
+			const added = after.filter(value => !before.includes(value))
+			const removed = before.filter(value => !after.includes(value))
+			if (added.length > 0) update[key] = added
+			if (removed.length > 0) update[`${key}_removed`] = removed
+		} else if (kind == 'object') {
+			const changes = changed(before, after)
+			if (changes) update[key] = changes
+		} else {
+			const changes = {}
+			for (const [name, value] of Object.entries(after)) {
+				const change = before[name] ? changed(before[name], value) : value
+				if (change) changes[name] = change
+			}
+			const removed = Object.keys(before).filter(name => !after[name])
+			if (Object.keys(changes).length > 0) update[key] = changes
+			if (removed.length > 0) update[`${key}_removed`] = removed
+		}
+	}
+	return update
+}
+
+/**
+ * Get the properties of an object which changed
+ * @param {Object} before - Previous version
+ * @param {Object} after - Current version
+ * @return {(Object|null)} Changed properties, or null if nothing changed
+ */
+function changed(before, after) {
+	const changes = {}
+	for (const [key, value] of Object.entries(after)) {
+		if (JSON.stringify(before[key]) !== JSON.stringify(value)) changes[key] = value
+	}
+	return Object.keys(changes).length > 0 ? changes : null
+}
+
+/**
+ * Reveal the results of a running search progressively, a third of them at each poll, then stop it
+ * @param {Object} search - Search job
+ */
+function progress(search) {
+	if (search.status != 'Running') return
+	search.polls++
+	search.visible = Math.min(search.results.length, Math.ceil(search.results.length * search.polls / 3))
+	if (search.polls >= 3) search.status = 'Stopped'
+}
+
+/**
+ * Default results of a search with a plugin
+ * @param {string} pattern - Pattern searched for
+ * @param {SearchPlugin} plugin - Plugin
+ * @param {string} category - Category of the search
+ * @return {SearchResult[]} Results
+ */
+function sampleResults(pattern, plugin, category) {
+	return ['1080p', '720p', '480p'].map((quality, i) => {
+		const fileName = `${pattern} ${quality}`
+		const hash = crypto.createHash('sha1').update(`${plugin.name}:${fileName}`).digest('hex')
+		return {
+			descrLink: `${plugin.url}/torrent/${hash}`,
+			fileName: fileName,
+			fileSize: 1073741824 >> i,
+			fileUrl: `magnet:?xt=urn:btih:${hash}&dn=${encodeURIComponent(fileName)}`,
+			nbLeechers: 10 - i * 3,
+			nbSeeders: 100 >> i,
+			siteUrl: plugin.url
+		}
+	})
+}
+
+/**
+ * Find an RSS item from its path
+ * @param {MockServer} mock - Server
+ * @param {string} path - Full path of the item, folders separated by `\\`
+ * @return {{parent: Object, name: string}} Folder containing the item (undefined if it doesn't exist) and name of the item
+ */
+function rssPath(mock, path) {
+	const parts = (path || '').split('\\')
+	const name = parts.pop()
+	let parent = mock.rssItems
+	for (const part of parts) {
+		parent = parent && !parent.url ? parent[part] : undefined
+	}
+	return { parent: parent && !parent.url ? parent : undefined, name: name }
+}
+
+/**
+ * List the feeds of an RSS folder and its subfolders
+ * @param {Object} folder - Folder
+ * @param {string} [prefix] - Path of the folder
+ * @return {Array<[string, RssFeed]>} Paths and feeds
+ */
+function rssFeeds(folder, prefix = '') {
+	const feeds = []
+	for (const [name, item] of Object.entries(folder)) {
+		if (item.url) feeds.push([prefix + name, item])
+		else feeds.push(...rssFeeds(item, `${prefix}${name}\\`))
+	}
+	return feeds
+}
+
+/**
+ * Copy the tree of RSS items, as returned by the API
+ * @param {Object} folder - Folder
+ * @param {boolean} withData - Include the data of the feeds
+ * @return {Object} Tree of items
+ */
+function rssTree(folder, withData) {
+	const tree = {}
+	for (const [name, item] of Object.entries(folder)) {
+		if (!item.url) tree[name] = rssTree(item, withData)
+		else tree[name] = withData ? JSON.parse(JSON.stringify(item)) : { uid: item.uid, url: item.url }
+	}
+	return tree
+}
+
+/**
+ * Check whether an article title matches an auto-downloading rule
+ * @param {RssRuleDefinition} rule - Rule
+ * @param {string} title - Title of the article
+ * @return {boolean} True if the rule is enabled and matches
+ */
+function ruleMatches(rule, title) {
+	const test = (expression, empty) => {
+		if (!expression) return empty
+		if (rule.useRegex) return new RegExp(expression, 'i').test(title)
+		// Wildcard mode: `|` separates alternatives, spaces separate words which must all be present
+		return expression.split('|').some(alternative => alternative.trim().split(/\s+/).every(word => {
+			const pattern = word.replace(/[.+^${}()[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.')
+			return new RegExp(pattern, 'i').test(title)
+		}))
+	}
+	return rule.enabled && test(rule.mustContain, true) && !test(rule.mustNotContain, false)
+}
+
+exports.MockServer = MockServer
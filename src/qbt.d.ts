@@ -0,0 +1,1101 @@
+/// <reference types="node" />
+
+import { EventEmitter } from 'events'
+import * as http from 'http'
+import * as https from 'https'
+import { Readable } from 'stream'
+
+// Branded types
+
+/**
+ * Hash of a torrent, as returned by qBittorrent. Cast other strings with `hash as TorrentHash`
+ */
+export type TorrentHash = string & { readonly __brand: 'TorrentHash' }
+
+/**
+ * Response ID of the sync API, `0` requests a full update
+ */
+export type Rid = number & { readonly __brand: 'Rid' }
+
+/**
+ * A torrent, given by its hash or by a torrent returned by the client
+ */
+export type TorrentLike = TorrentHash | { hash: TorrentHash }
+
+/**
+ * Several torrents, or `'all'`
+ */
+export type Hashes = TorrentLike | TorrentLike[] | 'all'
+
+/**
+ * Timestamp: in seconds for torrents and milliseconds for logs, or a `Date` (`null` when unset) with the `dates` normalization option
+ */
+export type Timestamp = number | Date | null
+
+/**
+ * Speed, share or connection limit. Unlimited is a sentinel (`0` or `-1`), or the `unlimited` normalization option
+ */
+export type Limit = number | null
+
+/**
+ * Values separated by a delimiter, or an array of values
+ */
+export type List<T = string> = string | T[]
+
+// Enumerations
+
+export type TorrentState =
+	| 'error'
+	| 'missingFiles'
+	| 'uploading'
+	| 'pausedUP'
+	| 'queuedUP'
+	| 'stalledUP'
+	| 'checkingUP'
+	| 'forcedUP'
+	| 'allocating'
+	| 'downloading'
+	| 'metaDL'
+	| 'pausedDL'
+	| 'queuedDL'
+	| 'stalledDL'
+	| 'checkingDL'
+	| 'forcedDL'
+	| 'checkingResumeData'
+	| 'moving'
+	| 'unknown'
+
+export type TorrentFilter = 'all' | 'downloading' | 'completed' | 'paused' | 'active' | 'inactive' | 'resumed'
+
+export type TorrentSortKey = keyof Torrent
+
+export type LogType = 'normal' | 'info' | 'warning' | 'critical'
+
+/**
+ * Type of a log message, normal: `1`, info: `2`, warning: `4`, critical: `8`
+ */
+export type LogLevel = 1 | 2 | 4 | 8
+
+export type FilePriority = 0 | 1 | 6 | 7
+
+export type PieceState = 0 | 1 | 2
+
+/**
+ * Tracker status: disabled, not contacted, working, updating, not working
+ */
+export type TrackerStatus = 0 | 1 | 2 | 3 | 4
+
+export type SearchJobStatus = 'Running' | 'Stopped'
+
+export type AuthenticationFailure = 'credentials' | 'banned' | 'cookie'
+
+// Errors
+
+export class QbtError extends Error {
+	constructor(message: string)
+}
+
+export class QbtHttpError extends QbtError {
+	constructor(endpoint: string, parameters: object, statusCode: number, body: string)
+	endpoint: string
+	parameters: object
+	statusCode: number
+	body: string
+}
+
+export class ForbiddenError extends QbtHttpError {}
+
+export class NotFoundError extends QbtHttpError {}
+
+export class ConflictError extends QbtHttpError {}
+
+export class RejectedError extends QbtError {
+	constructor(endpoint: string, parameters: object)
+	endpoint: string
+	parameters: object
+}
+
+export class UnknownTorrentError extends QbtError {
+	constructor(hash: string)
+	hash: string
+}
+
+export class AmbiguousTorrentError extends QbtError {
+	constructor(hashes: TorrentHash[])
+	hashes: TorrentHash[]
+}
+
+export class NetworkError extends QbtError {
+	constructor(endpoint: string, parameters: object, cause: Error)
+	endpoint: string
+	parameters: object
+	code: string
+	cause: Error
+}
+
+export class AuthenticationError extends QbtError {
+	constructor(reason: AuthenticationFailure, username: string)
+	reason: AuthenticationFailure
+	username: string
+}
+
+export class UnsupportedFeatureError extends QbtError {
+	constructor(feature: string, requiredVersion: string, apiVersion: string)
+	feature: string
+	requiredVersion: string
+	apiVersion: string
+}
+
+// Options
+
+export interface RetryPolicy {
+	attempts?: number
+	delay?: number
+	maxDelay?: number
+	factor?: number
+	jitter?: number
+	statusCodes?: number[]
+	errorCodes?: string[]
+	mutating?: boolean
+}
+
+export interface ConnectOptions {
+	headers?: Record<string, string>
+	referer?: string
+	origin?: string
+	timeout?: number
+	signal?: AbortSignal
+	agent?: http.Agent | https.Agent
+	keepAlive?: boolean
+	maxSockets?: number
+	rejectUnauthorized?: boolean
+	ca?: string | Buffer | Array<string | Buffer>
+	cert?: string | Buffer
+	key?: string | Buffer
+	passphrase?: string
+	pfx?: string | Buffer
+	proxy?: string
+	retry?: RetryPolicy | boolean
+	normalize?: NormalizeOptions
+}
+
+export interface NormalizeOptions {
+	dates?: boolean
+	unlimited?: number | null
+}
+
+export interface RequestOptions {
+	signal?: AbortSignal
+	timeout?: number
+	retry?: RetryPolicy | boolean
+	normalize?: NormalizeOptions
+}
+
+export interface TailOptions {
+	interval?: number
+	signal?: AbortSignal
+	history?: boolean
+	lastKnownId?: number
+}
+
+export interface SearchOptions {
+	plugins?: List
+	category?: string
+	timeout?: number
+	interval?: number
+	signal?: AbortSignal
+}
+
+export interface SearchCriteria extends Omit<SearchOptions, 'category'> {
+	minSeeders?: number
+	minSize?: number
+	maxSize?: number
+	include?: RegExp | string | (RegExp | string)[]
+	exclude?: RegExp | string | (RegExp | string)[]
+	preferredSites?: string[]
+	searchCategory?: string
+	category?: string
+	tags?: List
+}
+
+export interface AddTorrentOptions {
+	savepath?: string
+	cookie?: string
+	category?: string
+	tags?: List
+	skip_checking?: boolean
+	paused?: boolean
+	root_folder?: boolean
+	rename?: string
+	upLimit?: number
+	dlLimit?: number
+	ratioLimit?: number
+	seedingTimeLimit?: number
+	autoTMM?: boolean
+	sequentialDownload?: boolean
+	firstLastPiecePrio?: boolean
+}
+
+/**
+ * Torrent to add: URL (`http://`, `https://`, `magnet:` or `bc://bt/`), path of a .torrent file, or content of a .torrent file
+ */
+export type TorrentSource = string | Buffer | Readable
+
+// Application
+
+export interface BuildInfo {
+	qt: string
+	libtorrent: string
+	boost: string
+	openssl: string
+	bitness: string
+}
+
+export interface Preferences {
+	locale: string
+	create_subfolder_enabled: boolean
+	start_paused_enabled: boolean
+	auto_delete_mode: number
+	preallocate_all: boolean
+	incomplete_files_ext: boolean
+	auto_tmm_enabled: boolean
+	torrent_changed_tmm_enabled: boolean
+	save_path_changed_tmm_enabled: boolean
+	category_changed_tmm_enabled: boolean
+	save_path: string
+	temp_path_enabled: boolean
+	temp_path: string
+	scan_dirs: Record<string, 0 | 1 | string>
+	export_dir: string
+	export_dir_fin: string
+	mail_notification_enabled: boolean
+	mail_notification_sender: string
+	mail_notification_email: string
+	mail_notification_smtp: string
+	mail_notification_ssl_enabled: boolean
+	mail_notification_auth_enabled: boolean
+	mail_notification_username: string
+	mail_notification_password: string
+	autorun_enabled: boolean
+	autorun_program: string
+	queueing_enabled: boolean
+	max_active_downloads: number
+	max_active_torrents: number
+	max_active_uploads: number
+	dont_count_slow_torrents: boolean
+	slow_torrent_dl_rate_threshold: number
+	slow_torrent_ul_rate_threshold: number
+	slow_torrent_inactive_timer: number
+	max_ratio_enabled: boolean
+	max_ratio: number
+	max_ratio_act: number
+	listen_port: number
+	upnp: boolean
+	random_port: boolean
+	dl_limit: number
+	up_limit: number
+	max_connec: number
+	max_connec_per_torrent: number
+	max_uploads: number
+	max_uploads_per_torrent: number
+	enable_utp: boolean
+	limit_utp_rate: boolean
+	limit_tcp_overhead: boolean
+	limit_lan_peers: boolean
+	alt_dl_limit: number
+	alt_up_limit: number
+	scheduler_enabled: boolean
+	schedule_from_hour: number
+	schedule_from_min: number
+	schedule_to_hour: number
+	schedule_to_min: number
+	scheduler_days: number
+	dht: boolean
+	dhtSameAsBT: boolean
+	dht_port: number
+	pex: boolean
+	lsd: boolean
+	encryption: number
+	anonymous_mode: boolean
+	proxy_type: number
+	proxy_ip: string
+	proxy_port: number
+	proxy_peer_connections: boolean
+	force_proxy: boolean
+	proxy_auth_enabled: boolean
+	proxy_username: string
+	proxy_password: string
+	ip_filter_enabled: boolean
+	ip_filter_path: string
+	ip_filter_trackers: boolean
+	web_ui_domain_list: string
+	web_ui_address: string
+	web_ui_port: number
+	web_ui_upnp: boolean
+	web_ui_username: string
+	web_ui_password: string
+	web_ui_csrf_protection_enabled: boolean
+	web_ui_clickjacking_protection_enabled: boolean
+	bypass_local_auth: boolean
+	bypass_auth_subnet_whitelist_enabled: boolean
+	bypass_auth_subnet_whitelist: string
+	alternative_webui_enabled: boolean
+	alternative_webui_path: string
+	use_https: boolean
+	ssl_key: string
+	ssl_cert: string
+	dyndns_enabled: boolean
+	dyndns_service: number
+	dyndns_username: string
+	dyndns_password: string
+	dyndns_domain: string
+	rss_refresh_interval: number
+	rss_max_articles_per_feed: number
+	rss_processing_enabled: boolean
+	rss_auto_downloading_enabled: boolean
+}
+
+/**
+ * Preferences accepted by `setPreferences()`
+ */
+export type WritablePreferences = Partial<Omit<Preferences, 'dhtSameAsBT' | 'dht_port'>>
+
+// Log
+
+export interface Log {
+	id: number
+	message: string
+	timestamp: Timestamp
+	type: LogLevel
+}
+
+export interface PeerLog {
+	id: number
+	ip: string
+	timestamp: Timestamp
+	blocked: boolean
+	reason: string
+}
+
+// Sync
+
+export interface ServerState extends TransferInfo {
+	[key: string]: unknown
+}
+
+export interface Category {
+	name: string
+	savePath: string
+}
+
+export interface MainData {
+	rid: Rid
+	full_update?: boolean
+	torrents?: Record<string, Partial<Torrent>>
+	torrents_removed?: TorrentHash[]
+	categories?: Record<string, Partial<Category>>
+	categories_removed?: string[]
+	tags?: string[]
+	tags_removed?: string[]
+	server_state?: Partial<ServerState>
+}
+
+export interface Peer {
+	key?: string
+	ip: string
+	port: number
+	client: string
+	connection: string
+	country: string
+	country_code: string
+	flags: string
+	flags_desc: string
+	progress: number
+	dl_speed: number
+	up_speed: number
+	downloaded: number
+	uploaded: number
+	relevance: number
+	files: string
+}
+
+export interface PeerData {
+	rid: Rid
+	full_update?: boolean
+	peers?: Record<string, Partial<Peer>>
+	peers_removed?: string[]
+	show_flags?: boolean
+}
+
+// Transfer
+
+export interface TransferInfo {
+	dl_info_speed: number
+	dl_info_data: number
+	up_info_speed: number
+	up_info_data: number
+	dl_rate_limit: Limit
+	up_rate_limit: Limit
+	dht_nodes: number
+	connection_status: 'connected' | 'firewalled' | 'disconnected'
+}
+
+// Torrents
+
+export interface Torrent {
+	added_on: Timestamp
+	amount_left: number
+	auto_tmm: boolean
+	category: string
+	completed: number
+	completion_on: Timestamp
+	dl_limit: Limit
+	dlspeed: number
+	downloaded: number
+	downloaded_session: number
+	eta: number
+	f_l_piece_prio: boolean
+	force_start: boolean
+	hash: TorrentHash
+	last_activity: Timestamp
+	magnet_uri: string
+	max_ratio: Limit
+	max_seeding_time: Limit
+	name: string
+	num_complete: number
+	num_incomplete: number
+	num_leechs: number
+	num_seeds: number
+	priority: number
+	progress: number
+	ratio: number
+	ratio_limit: Limit
+	save_path: string
+	seeding_time_limit: Limit
+	seen_complete: Timestamp
+	seq_dl: boolean
+	size: number
+	state: TorrentState
+	super_seeding: boolean
+	tags: string
+	time_active: number
+	total_size: number
+	tracker: string
+	up_limit: Limit
+	uploaded: number
+	uploaded_session: number
+	upspeed: number
+}
+
+export interface TorrentInfo {
+	save_path: string
+	creation_date: Timestamp
+	piece_size: number
+	comment: string
+	total_wasted: number
+	total_uploaded: number
+	total_uploaded_session: number
+	total_downloaded: number
+	total_downloaded_session: number
+	up_limit: Limit
+	dl_limit: Limit
+	time_elapsed: number
+	seeding_time: number
+	nb_connections: number
+	nb_connections_limit: Limit
+	share_ratio: number
+	addition_date: Timestamp
+	completion_date: Timestamp
+	created_by: string
+	dl_speed_avg: number
+	dl_speed: number
+	eta: number
+	last_seen: Timestamp
+	peers: number
+	peers_total: number
+	pieces_have: number
+	pieces_num: number
+	reannounce: number
+	seeds: number
+	seeds_total: number
+	total_size: number
+	up_speed_avg: number
+	up_speed: number
+}
+
+export interface Tracker {
+	url: string
+	status: TrackerStatus
+	tier: number
+	num_peers: number
+	num_seeds: number
+	num_leeches: number
+	num_downloaded: number
+	msg: string
+}
+
+export interface Webseed {
+	url: string
+}
+
+export interface Content {
+	name: string
+	size: number
+	progress: number
+	priority: FilePriority
+	is_seed: boolean
+	piece_range: [number, number]
+	availability: number
+}
+
+// Search
+
+export interface SearchJob {
+	id: number
+}
+
+export interface SearchStatus {
+	id: number
+	status: SearchJobStatus
+	total: number
+}
+
+export interface SearchResult {
+	descrLink: string
+	fileName: string
+	fileSize: number
+	fileUrl: string
+	nbLeechers: number
+	nbSeeders: number
+	siteUrl: string
+}
+
+export interface SearchResults {
+	results: SearchResult[]
+	status: SearchJobStatus
+	total: number
+}
+
+export interface FoundTorrent {
+	results: SearchResult[]
+	hash: TorrentHash | null
+}
+
+export interface SearchPlugin {
+	enabled: boolean
+	fullName: string
+	name: string
+	supportedCategories: string[]
+	url: string
+	version: string
+}
+
+// RSS
+
+export interface RssArticle {
+	id: string
+	title: string
+	date: string
+	description?: string
+	link?: string
+	torrentURL: string
+	isRead?: boolean
+}
+
+export interface RssFeed {
+	uid: string
+	url: string
+	title?: string
+	lastBuildDate?: string
+	isLoading?: boolean
+	hasError?: boolean
+	articles?: RssArticle[]
+}
+
+export interface RssFolder {
+	[name: string]: RssFolder | RssFeed
+}
+
+export interface RssRuleDefinition {
+	enabled: boolean
+	mustContain: string
+	mustNotContain: string
+	useRegex: boolean
+	episodeFilter: string
+	smartFilter: boolean
+	previouslyMatchedEpisodes: string[]
+	affectedFeeds: string[]
+	ignoreDays: number
+	lastMatch: string
+	addPaused: boolean | null
+	assignedCategory: string
+	savePath: string
+}
+
+export class RssRule {
+	constructor(definition?: Partial<RssRuleDefinition> & { [key: string]: unknown })
+	definition: RssRuleDefinition
+	set<K extends keyof RssRuleDefinition>(key: K, value: RssRuleDefinition[K]): this
+	enabled(value?: boolean): this
+	mustContain(value: string | RegExp): this
+	mustNotContain(value: string | RegExp): this
+	useRegex(value?: boolean): this
+	episodeFilter(value: string): this
+	smartFilter(value?: boolean): this
+	affectedFeeds(urls: string | string[]): this
+	ignoreDays(days: number): this
+	addPaused(value?: boolean | null): this
+	category(category: string): this
+	savePath(path: string): this
+	toJSON(): RssRuleDefinition
+}
+
+// Client
+
+/**
+ * Client returned by `connect()`. Every method taking parameters also accepts them as a single object named after the parameters
+ */
+export interface QbtClient {
+	withOptions(overrides: RequestOptions): QbtClient
+
+	// Authentication
+	login(): Promise<void>
+	logout(): Promise<void>
+	isAuthenticated(): Promise<boolean>
+
+	// Application
+	appVersion(): Promise<string>
+	apiVersion(): Promise<string>
+	supports(feature: string): boolean
+	buildInfo(): Promise<BuildInfo>
+	shutdown(): Promise<void>
+	preferences(): Promise<Preferences>
+	setPreferences(preferences: WritablePreferences, onlyChanged?: boolean): Promise<WritablePreferences>
+	setPreferences(parameters: { preferences: WritablePreferences, onlyChanged?: boolean }): Promise<WritablePreferences>
+	defaultSavePath(): Promise<string>
+
+	// Log
+	log(normal?: boolean, info?: boolean, warning?: boolean, critical?: boolean, lastKnownId?: number): Promise<Log[]>
+	log(parameters: { normal?: boolean, info?: boolean, warning?: boolean, critical?: boolean, lastKnownId?: number }): Promise<Log[]>
+	peerLog(lastKnownId?: number): Promise<PeerLog[]>
+	peerLog(parameters: { lastKnownId?: number }): Promise<PeerLog[]>
+	tailLog(parameters?: TailOptions & { types?: LogType[] }): AsyncIterableIterator<Log>
+	tailPeerLog(parameters?: TailOptions): AsyncIterableIterator<PeerLog>
+
+	// Sync
+	syncMainData(rid?: Rid | 0): Promise<MainData>
+	syncMainData(parameters: { rid?: Rid | 0 }): Promise<MainData>
+	syncPeersData(hash: TorrentLike, rid?: Rid | 0): Promise<PeerData>
+	syncPeersData(parameters: { hash: TorrentLike, rid?: Rid | 0 }): Promise<PeerData>
+
+	// Transfer info
+	transferInfo(): Promise<TransferInfo>
+	speedLimitsMode(): Promise<boolean>
+	toggleSpeedLimitsMode(): Promise<void>
+	globalDownloadLimit(): Promise<Limit>
+	setGlobalDownloadLimit(limit: Limit): Promise<void>
+	setGlobalDownloadLimit(parameters: { limit: Limit }): Promise<void>
+	globalUploadLimit(): Promise<Limit>
+	setGlobalUploadLimit(limit: Limit): Promise<void>
+	setGlobalUploadLimit(parameters: { limit: Limit }): Promise<void>
+	banPeers(peers: List): Promise<void>
+	banPeers(parameters: { peers: List }): Promise<void>
+
+	// Torrent management
+	torrents(filter?: TorrentFilter, category?: string | null, sort?: TorrentSortKey, reverse?: boolean, limit?: number, offset?: number, hashes?: Hashes): Promise<Torrent[]>
+	torrents(parameters: { filter?: TorrentFilter, category?: string | null, sort?: TorrentSortKey, reverse?: boolean, limit?: number, offset?: number, hashes?: Hashes }): Promise<Torrent[]>
+	query(conditions?: TorrentQueryConditions): TorrentQuery
+	torrent(hash: TorrentLike): TorrentHandle
+	properties(hash: TorrentLike): Promise<TorrentInfo>
+	properties(parameters: { hash: TorrentLike }): Promise<TorrentInfo>
+	trackers(hash: TorrentLike): Promise<Tracker[]>
+	trackers(parameters: { hash: TorrentLike }): Promise<Tracker[]>
+	webseeds(hash: TorrentLike): Promise<Webseed[]>
+	webseeds(parameters: { hash: TorrentLike }): Promise<Webseed[]>
+	files(hash: TorrentLike): Promise<Content[]>
+	files(parameters: { hash: TorrentLike }): Promise<Content[]>
+	pieceStates(hash: TorrentLike): Promise<PieceState[]>
+	pieceStates(parameters: { hash: TorrentLike }): Promise<PieceState[]>
+	pieceHashes(hash: TorrentLike): Promise<string[]>
+	pieceHashes(parameters: { hash: TorrentLike }): Promise<string[]>
+	pauseTorrents(hashes: Hashes): Promise<void>
+	pauseTorrents(parameters: { hashes: Hashes }): Promise<void>
+	resumeTorrents(hashes: Hashes): Promise<void>
+	resumeTorrents(parameters: { hashes: Hashes }): Promise<void>
+	deleteTorrents(hashes: Hashes, deleteFiles?: boolean): Promise<void>
+	deleteTorrents(parameters: { hashes: Hashes, deleteFiles?: boolean }): Promise<void>
+	recheckTorrents(hashes: Hashes): Promise<void>
+	recheckTorrents(parameters: { hashes: Hashes }): Promise<void>
+	reannounceTorrents(hashes: Hashes): Promise<void>
+	reannounceTorrents(parameters: { hashes: Hashes }): Promise<void>
+	editTrackers(hash: TorrentLike, origUrl: string, newUrl: string): Promise<void>
+	editTrackers(parameters: { hash: TorrentLike, origUrl: string, newUrl: string }): Promise<void>
+	removeTrackers(hash: TorrentLike, urls: List): Promise<void>
+	removeTrackers(parameters: { hash: TorrentLike, urls: List }): Promise<void>
+	addPeers(hashes: Hashes, peers: List): Promise<void>
+	addPeers(parameters: { hashes: Hashes, peers: List }): Promise<void>
+	addTorrent(torrents: TorrentSource | TorrentSource[], parameters?: AddTorrentOptions): Promise<void>
+	addTorrent(parameters: { torrents: TorrentSource | TorrentSource[], parameters?: AddTorrentOptions }): Promise<void>
+	addTrackers(hash: TorrentLike, urls: List): Promise<void>
+	addTrackers(parameters: { hash: TorrentLike, urls: List }): Promise<void>
+	increasePriority(hashes: Hashes): Promise<void>
+	increasePriority(parameters: { hashes: Hashes }): Promise<void>
+	decreasePriority(hashes: Hashes): Promise<void>
+	decreasePriority(parameters: { hashes: Hashes }): Promise<void>
+	maxPriority(hashes: Hashes): Promise<void>
+	maxPriority(parameters: { hashes: Hashes }): Promise<void>
+	minPriority(hashes: Hashes): Promise<void>
+	minPriority(parameters: { hashes: Hashes }): Promise<void>
+	setFilePriority(hash: TorrentLike, id: List<number> | number, priority: FilePriority): Promise<void>
+	setFilePriority(parameters: { hash: TorrentLike, id: List<number> | number, priority: FilePriority }): Promise<void>
+	downloadLimit(hashes: Hashes): Promise<Record<string, Limit>>
+	downloadLimit(parameters: { hashes: Hashes }): Promise<Record<string, Limit>>
+	setDownloadLimit(hashes: Hashes, limit: Limit): Promise<void>
+	setDownloadLimit(parameters: { hashes: Hashes, limit: Limit }): Promise<void>
+	setShareLimit(hashes: Hashes, ratioLimit: Limit, seedingTimeLimit: Limit): Promise<void>
+	setShareLimit(parameters: { hashes: Hashes, ratioLimit: Limit, seedingTimeLimit: Limit }): Promise<void>
+	uploadLimit(hashes: Hashes): Promise<Record<string, Limit>>
+	uploadLimit(parameters: { hashes: Hashes }): Promise<Record<string, Limit>>
+	setUploadLimit(hashes: Hashes, limit: Limit): Promise<void>
+	setUploadLimit(parameters: { hashes: Hashes, limit: Limit }): Promise<void>
+	setLocation(hashes: Hashes, location: string): Promise<void>
+	setLocation(parameters: { hashes: Hashes, location: string }): Promise<void>
+	rename(hash: TorrentLike, name: string): Promise<void>
+	rename(parameters: { hash: TorrentLike, name: string }): Promise<void>
+	setCategory(hashes: Hashes, category: string): Promise<void>
+	setCategory(parameters: { hashes: Hashes, category: string }): Promise<void>
+	categories(): Promise<Record<string, Category>>
+	createCategory(category: string, savePath?: string): Promise<void>
+	createCategory(parameters: { category: string, savePath?: string }): Promise<void>
+	editCategory(category: string, savePath: string): Promise<void>
+	editCategory(parameters: { category: string, savePath: string }): Promise<void>
+	removeCategories(categories: List): Promise<void>
+	removeCategories(parameters: { categories: List }): Promise<void>
+	addTags(hashes: Hashes, tags: List): Promise<void>
+	addTags(parameters: { hashes: Hashes, tags: List }): Promise<void>
+	removeTags(hashes: Hashes, tags: List): Promise<void>
+	removeTags(parameters: { hashes: Hashes, tags: List }): Promise<void>
+	tags(): Promise<string[]>
+	createTags(tags: List): Promise<void>
+	createTags(parameters: { tags: List }): Promise<void>
+	deleteTags(tags: List): Promise<void>
+	deleteTags(parameters: { tags: List }): Promise<void>
+	setAutoManagement(hashes: Hashes, enable: boolean): Promise<void>
+	setAutoManagement(parameters: { hashes: Hashes, enable: boolean }): Promise<void>
+	toggleSequentialDownload(hashes: Hashes): Promise<void>
+	toggleSequentialDownload(parameters: { hashes: Hashes }): Promise<void>
+	toggleFirstLastPiecePrio(hashes: Hashes): Promise<void>
+	toggleFirstLastPiecePrio(parameters: { hashes: Hashes }): Promise<void>
+	setForceStart(hashes: Hashes, value: boolean): Promise<void>
+	setForceStart(parameters: { hashes: Hashes, value: boolean }): Promise<void>
+	setSuperSeeding(hashes: Hashes, value: boolean): Promise<void>
+	setSuperSeeding(parameters: { hashes: Hashes, value: boolean }): Promise<void>
+	renameFile(hash: TorrentLike, id: number, name: string): Promise<void>
+	renameFile(parameters: { hash: TorrentLike, id: number, name: string }): Promise<void>
+	renameFolder(hash: TorrentLike, oldPath: string, newPath: string): Promise<void>
+	renameFolder(parameters: { hash: TorrentLike, oldPath: string, newPath: string }): Promise<void>
+
+	// Search
+	startSearch(pattern: string, plugins: List, category: string): Promise<SearchJob>
+	startSearch(parameters: { pattern: string, plugins: List, category: string }): Promise<SearchJob>
+	stopSearch(id: number): Promise<void>
+	stopSearch(parameters: { id: number }): Promise<void>
+	searchStatus(id?: number): Promise<SearchStatus[]>
+	searchStatus(parameters: { id?: number }): Promise<SearchStatus[]>
+	searchResults(id: number, limit?: number, offset?: number): Promise<SearchResults>
+	searchResults(parameters: { id: number, limit?: number, offset?: number }): Promise<SearchResults>
+	deleteSearch(id: number): Promise<void>
+	deleteSearch(parameters: { id: number }): Promise<void>
+	search(pattern: string, parameters?: SearchOptions): AsyncIterableIterator<SearchResult>
+	search(parameters: { pattern: string, parameters?: SearchOptions }): AsyncIterableIterator<SearchResult>
+	findAndAdd(pattern: string, criteria?: SearchCriteria): Promise<FoundTorrent>
+	findAndAdd(parameters: { pattern: string, criteria?: SearchCriteria }): Promise<FoundTorrent>
+	searchCategories(pluginName?: string): Promise<string[]>
+	searchCategories(parameters: { pluginName?: string }): Promise<string[]>
+	searchPlugins(): Promise<SearchPlugin[]>
+	installPlugin(sources: List): Promise<void>
+	installPlugin(parameters: { sources: List }): Promise<void>
+	uninstallPlugin(names: List): Promise<void>
+	uninstallPlugin(parameters: { names: List }): Promise<void>
+	enablePlugin(names: List, enable: boolean): Promise<void>
+	enablePlugin(parameters: { names: List, enable: boolean }): Promise<void>
+	updatePlugins(): Promise<void>
+
+	// RSS
+	addRssFolder(path: string): Promise<void>
+	addRssFolder(parameters: { path: string }): Promise<void>
+	addRssFeed(url: string, path?: string): Promise<void>
+	addRssFeed(parameters: { url: string, path?: string }): Promise<void>
+	removeRssItem(path: string): Promise<void>
+	removeRssItem(parameters: { path: string }): Promise<void>
+	moveRssItem(itemPath: string, destPath: string): Promise<void>
+	moveRssItem(parameters: { itemPath: string, destPath: string }): Promise<void>
+	rssItems(withData?: boolean): Promise<RssFolder>
+	rssItems(parameters: { withData?: boolean }): Promise<RssFolder>
+	markRssAsRead(itemPath: string, articleId?: string): Promise<void>
+	markRssAsRead(parameters: { itemPath: string, articleId?: string }): Promise<void>
+	refreshRssItem(itemPath: string): Promise<void>
+	refreshRssItem(parameters: { itemPath: string }): Promise<void>
+	setRssRule(ruleName: string, ruleDef: RssRule | Partial<RssRuleDefinition>): Promise<void>
+	setRssRule(parameters: { ruleName: string, ruleDef: RssRule | Partial<RssRuleDefinition> }): Promise<void>
+	renameRssRule(ruleName: string, newRuleName: string): Promise<void>
+	renameRssRule(parameters: { ruleName: string, newRuleName: string }): Promise<void>
+	removeRssRule(ruleName: string): Promise<void>
+	removeRssRule(parameters: { ruleName: string }): Promise<void>
+	rssRules(): Promise<Record<string, RssRuleDefinition>>
+	rssMatchingArticles(ruleName: string): Promise<Record<string, string[]>>
+	rssMatchingArticles(parameters: { ruleName: string }): Promise<Record<string, string[]>>
+}
+
+/**
+ * Login to qBittorrent
+ * @throws {AuthenticationError} If qBittorrent refused the credentials, banned the IP address or didn't send a session cookie
+ */
+export function connect(host: string, username: string, password: string, config?: ConnectOptions): Promise<QbtClient>
+
+/**
+ * Get the hash of a torrent given by its hash or as an object with a `hash` property
+ */
+export function hashOf(torrent: TorrentLike): TorrentHash
+
+/**
+ * Join torrent hashes with `|`, as the API methods expect them
+ */
+export function hashList(hashes: Hashes): string
+
+// Torrent handle
+
+export class TorrentHandle {
+	constructor(qbt: QbtClient, torrent: TorrentLike)
+	qbt: QbtClient
+	hash: TorrentHash
+	info: Torrent | null
+	refresh(): Promise<Torrent>
+	properties(): Promise<TorrentInfo>
+	trackers(): Promise<Tracker[]>
+	webseeds(): Promise<Webseed[]>
+	files(): Promise<Content[]>
+	pieceStates(): Promise<PieceState[]>
+	pieceHashes(): Promise<string[]>
+	pause(): Promise<void>
+	resume(): Promise<void>
+	delete(deleteFiles?: boolean): Promise<void>
+	recheck(): Promise<void>
+	reannounce(): Promise<void>
+	rename(name: string): Promise<void>
+	setCategory(category: string): Promise<void>
+	addTags(tags: List): Promise<void>
+	removeTags(tags: List): Promise<void>
+	setLocation(location: string): Promise<void>
+	setDownloadLimit(limit: Limit): Promise<void>
+	setUploadLimit(limit: Limit): Promise<void>
+	setShareLimit(ratioLimit: Limit, seedingTimeLimit: Limit): Promise<void>
+	setFilePriority(id: List<number> | number, priority: FilePriority): Promise<void>
+	renameFile(id: number, name: string): Promise<void>
+	renameFolder(oldPath: string, newPath: string): Promise<void>
+	addTrackers(urls: List): Promise<void>
+	editTracker(origUrl: string, newUrl: string): Promise<void>
+	removeTrackers(urls: List): Promise<void>
+	addPeers(peers: List): Promise<void>
+	setAutoManagement(enable: boolean): Promise<void>
+	setForceStart(value: boolean): Promise<void>
+	setSuperSeeding(value: boolean): Promise<void>
+	toggleSequentialDownload(): Promise<void>
+	toggleFirstLastPiecePrio(): Promise<void>
+}
+
+// Torrent query
+
+export interface TorrentQueryConditions {
+	filter?: TorrentFilter
+	category?: string
+	tag?: string
+	hashes?: TorrentLike | TorrentLike[]
+	sort?: TorrentSortKey | [TorrentSortKey, boolean?]
+	limit?: number
+	offset?: number
+	state?: TorrentState | TorrentState[]
+	ratioAbove?: number
+	ratioBelow?: number
+	sizeBetween?: [number?, number?]
+	nameMatches?: string | RegExp
+	tracker?: string | RegExp
+	savePath?: string | RegExp
+	where?: [keyof Torrent | ((torrent: Torrent) => boolean), unknown?]
+}
+
+export class TorrentQuery implements PromiseLike<Torrent[]> {
+	constructor(fetch: (parameters: object) => Promise<Torrent[]>, conditions?: TorrentQueryConditions, options?: { tagFilter?: boolean })
+	filter(filter: TorrentFilter): this
+	category(category: string): this
+	tag(tag: string): this
+	hashes(hashes: TorrentLike | TorrentLike[]): this
+	sort(key: TorrentSortKey, reverse?: boolean): this
+	limit(limit: number): this
+	offset(offset: number): this
+	state(states: TorrentState | TorrentState[]): this
+	ratioAbove(ratio: number): this
+	ratioBelow(ratio: number): this
+	sizeBetween(min?: number, max?: number): this
+	nameMatches(pattern: string | RegExp): this
+	tracker(pattern: string | RegExp): this
+	savePath(pattern: string | RegExp): this
+	where(predicate: (torrent: Torrent) => boolean): this
+	where<K extends keyof Torrent>(field: K, condition: Torrent[K] | RegExp | ((value: Torrent[K]) => boolean)): this
+	run(): Promise<Torrent[]>
+	then<TResult1 = Torrent[], TResult2 = never>(resolve?: ((torrents: Torrent[]) => TResult1 | PromiseLike<TResult1>) | null, reject?: ((err: any) => TResult2 | PromiseLike<TResult2>) | null): Promise<TResult1 | TResult2>
+}
+
+// Sync clients
+
+export interface PollerOptions {
+	interval?: number
+}
+
+declare class Poller<T> extends EventEmitter {
+	interval: number
+	listening(): boolean
+	start(): void
+	stop(): void
+	next(): Promise<T>
+	poll(): Promise<void>
+}
+
+export interface SyncSnapshot {
+	rid: Rid
+	torrents: Record<string, Torrent>
+	categories: Record<string, Category>
+	tags: string[]
+	serverState: Partial<ServerState>
+}
+
+export interface SyncClientEvents {
+	torrentAdded: [torrent: Torrent]
+	torrentRemoved: [torrent: Torrent]
+	torrentCompleted: [torrent: Torrent]
+	stateChanged: [torrent: Torrent, oldState: TorrentState, newState: TorrentState]
+	categoryChanged: [torrent: Torrent, oldCategory: string, newCategory: string]
+	tagsChanged: [torrent: Torrent, oldTags: string, newTags: string]
+	trackerErrored: [torrent: Torrent]
+	serverStateChanged: [serverState: Partial<ServerState>, changes: Partial<ServerState>]
+	error: [err: Error]
+}
+
+export class SyncClient extends Poller<SyncSnapshot> {
+	constructor(qbt: QbtClient, options?: PollerOptions)
+	qbt: QbtClient
+	rid: Rid | 0
+	reset(): void
+	update(): Promise<SyncSnapshot>
+	apply(data: MainData): void
+	emitChanges(previous: Record<string, Torrent>, removed: Torrent[], hashes: TorrentHash[], serverStateChanges: Partial<ServerState>): void
+	snapshot(): SyncSnapshot
+	on<E extends keyof SyncClientEvents>(event: E, listener: (...args: SyncClientEvents[E]) => void): this
+	once<E extends keyof SyncClientEvents>(event: E, listener: (...args: SyncClientEvents[E]) => void): this
+	off<E extends keyof SyncClientEvents>(event: E, listener: (...args: SyncClientEvents[E]) => void): this
+}
+
+export interface PeerWatcherEvents {
+	peerConnected: [peer: Peer]
+	peerDisconnected: [peer: Peer]
+	peerUpdated: [peer: Peer, changes: Partial<Peer>]
+	error: [err: Error]
+}
+
+export class PeerWatcher extends Poller<Record<string, Peer>> {
+	constructor(qbt: QbtClient, hash: TorrentLike, options?: PollerOptions)
+	qbt: QbtClient
+	hash: TorrentLike
+	rid: Rid | 0
+	reset(): void
+	update(): Promise<Record<string, Peer>>
+	apply(data: PeerData): void
+	peers(): Record<string, Peer>
+	topPeers(count: number, property?: keyof Peer): Peer[]
+	peersByClient(client: string | RegExp): Peer[]
+	ban(peers: Peer | Peer[] | string | string[]): Promise<void>
+	on<E extends keyof PeerWatcherEvents>(event: E, listener: (...args: PeerWatcherEvents[E]) => void): this
+	once<E extends keyof PeerWatcherEvents>(event: E, listener: (...args: PeerWatcherEvents[E]) => void): this
+	off<E extends keyof PeerWatcherEvents>(event: E, listener: (...args: PeerWatcherEvents[E]) => void): this
+}
+
+// Mock server
+
+export interface MockServerOptions {
+	username?: string
+	password?: string
+	version?: string
+	apiVersion?: string
+	maxFailedLogins?: number
+	empty?: boolean
+	searchResults?: (pattern: string, plugin: SearchPlugin, category: string) => SearchResult[]
+}
+
+export class MockServer {
+	constructor(options?: MockServerOptions)
+	options: Required<MockServerOptions>
+	server: http.Server | null
+	url: string | null
+	reset(): void
+	listen(port?: number, hostname?: string): Promise<string>
+	close(): Promise<void>
+	expireSessions(): void
+	log(message: string, type?: 1 | 2 | 4 | 8): void
+	addTorrent(torrent?: Partial<Torrent> & { files?: { name: string, size: number }[], trackers?: string[], piece_size?: number, comment?: string, created_by?: string, creation_date?: number }): Torrent
+	tick(count?: number): void
+	handle(req: http.IncomingMessage, res: http.ServerResponse): void
+}
+
+// Cluster
+
+export interface ClusterResults<T> {
+	results: Record<string, T>
+	errors: Record<string, Error>
+}
+
+export type ClusterTorrent = Torrent & { instance: string }
+
+export type ClusterTransferInfo = TransferInfo & { instance: string }
+
+export interface ClusterInstance extends ConnectOptions {
+	host: string
+	username: string
+	password: string
+}
+
+export class QbtCluster {
+	constructor(clients?: Record<string, QbtClient>)
+	static connect(instances: Record<string, ClusterInstance>): Promise<{ cluster: QbtCluster, errors: Record<string, Error> }>
+	clients: Map<string, QbtClient>
+	owners: Map<string, string>
+	add(name: string, qbt: QbtClient): void
+	remove(name: string): void
+	client(name: string): QbtClient
+	names(): string[]
+	each<T>(fn: (qbt: QbtClient, name: string) => T | Promise<T>, names?: string[]): Promise<ClusterResults<T>>
+	torrents(parameters?: { filter?: TorrentFilter, category?: string | null, sort?: TorrentSortKey, reverse?: boolean, limit?: number, offset?: number, hashes?: Hashes }): Promise<{ results: ClusterTorrent[], errors: Record<string, Error> }>
+	transferInfo(): Promise<{ results: ClusterTransferInfo[], total: Pick<TransferInfo, 'dht_nodes' | 'dl_info_data' | 'dl_info_speed' | 'up_info_data' | 'up_info_speed'>, errors: Record<string, Error> }>
+	owner(hash: TorrentLike): Promise<string | null>
+	torrent(hash: TorrentLike): Promise<TorrentHandle>
+	route(hashes: Hashes): Promise<{ groups: Record<string, TorrentHash[]>, errors: Record<string, Error> }>
+	forTorrents<K extends keyof QbtClient>(method: K, hashes: Hashes, ...args: any[]): Promise<ClusterResults<any>>
+	properties(hash: TorrentLike): Promise<TorrentInfo>
+	trackers(hash: TorrentLike): Promise<Tracker[]>
+	files(hash: TorrentLike): Promise<Content[]>
+	pauseTorrents(hashes: Hashes): Promise<ClusterResults<void>>
+	resumeTorrents(hashes: Hashes): Promise<ClusterResults<void>>
+	deleteTorrents(hashes: Hashes, deleteFiles?: boolean): Promise<ClusterResults<void>>
+	recheckTorrents(hashes: Hashes): Promise<ClusterResults<void>>
+	reannounceTorrents(hashes: Hashes): Promise<ClusterResults<void>>
+	setCategory(hashes: Hashes, category: string): Promise<ClusterResults<void>>
+	addTags(hashes: Hashes, tags: List): Promise<ClusterResults<void>>
+	removeTags(hashes: Hashes, tags?: List): Promise<ClusterResults<void>>
+	setDownloadLimit(hashes: Hashes, limit: Limit): Promise<ClusterResults<void>>
+	setUploadLimit(hashes: Hashes, limit: Limit): Promise<ClusterResults<void>>
+	setGlobalDownloadLimit(limit: Limit): Promise<ClusterResults<void>>
+	setGlobalUploadLimit(limit: Limit): Promise<ClusterResults<void>>
+	createCategory(category: string, savePath?: string): Promise<ClusterResults<void>>
+	removeCategories(categories: List): Promise<ClusterResults<void>>
+	createTags(tags: List): Promise<ClusterResults<void>>
+	deleteTags(tags: List): Promise<ClusterResults<void>>
+}
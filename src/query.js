@@ -0,0 +1,240 @@
+// qbt.js requires this module too, hashList() is only read from it once both are loaded
+const api = require('./qbt')
+
+/**
+ * Query on the torrent list. The conditions supported by qBittorrent (filter, category, tag, hashes, sort and pagination) are sent with the request, the others are evaluated on the returned torrents
+ * @example
+ * const torrents = await qbt.query()
+ * 	.tag('tv')
+ * 	.state(['stalledDL', 'metaDL'])
+ * 	.ratioAbove(2)
+ * 	.nameMatches(/x264/)
+ * 	.run()
+ */
+class TorrentQuery {
+	/**
+	 * Create a query
+	 * @param {function(Object): Promise<Torrent[]>} fetch - Function getting the torrent list with the parameters of `/torrents/info`
+	 * @param {Object} [conditions] - Conditions, property: method of the query, value: its argument, or array of arguments for `sort`, `sizeBetween` and `where`
+	 * @param {Object} [options] - Options
+	 * @param {boolean} [options.tagFilter] - qBittorrent filters by tag (default: `true`). Older versions ignore the tag parameter, set to `false` to evaluate the tag on the returned torrents
+	 */
+	constructor(fetch, conditions = {}, { tagFilter = true } = {}) {
+		this.fetch = fetch
+		this.tagFilter = tagFilter
+		this.parameters = {}
+		this.predicates = []
+		this.page = {}
+
+		for (const [method, value] of Object.entries(conditions)) {
+			if (typeof TorrentQuery.prototype[method] != 'function' || ['run', 'then', 'constructor'].includes(method)) throw new Error(`Unknown query condition: ${method}`)
+			this[method](...(['sort', 'sizeBetween', 'where'].includes(method) ? [].concat(value) : [value]))
+		}
+	}
+
+	/**
+	 * Keep torrents matching a status filter
+	 * @param {('all'|'downloading'|'completed'|'paused'|'active'|'inactive'|'resumed')} filter - Status filter
+	 * @return {TorrentQuery} This query
+	 */
+	filter(filter) {
+		this.parameters.filter = filter
+		return this
+	}
+
+	/**
+	 * Keep torrents of a category
+	 * @param {string} category - Category, empty string for torrents without category
+	 * @return {TorrentQuery} This query
+	 */
+	category(category) {
+		this.parameters.category = category
+		return this
+	}
+
+	/**
+	 * Keep torrents with a tag
+	 * @param {string} tag - Tag, empty string for torrents without tags
+	 * @return {TorrentQuery} This query
+	 */
+	tag(tag) {
+		this.parameters.tag = tag
+		return this
+	}
+
+	/**
+	 * Keep torrents with some hashes
+	 * @param {(string|Torrent|TorrentHandle|Array<(string|Torrent|TorrentHandle)>)} hashes - Hashes separated by `|`, torrent, or array of hashes and torrents
+	 * @return {TorrentQuery} This query
+	 */
+	hashes(hashes) {
+		this.parameters.hashes = api.hashList(hashes)
+		return this
+	}
+
+	/**
+	 * Sort torrents
+	 * @param {string} key - Property of `Torrent` to sort by
+	 * @param {boolean} [reverse] - Enable reverse sorting (default: `false`)
+	 * @return {TorrentQuery} This query
+	 */
+	sort(key, reverse = false) {
+		this.parameters.sort = key
+		if (reverse) this.parameters.reverse = true
+		return this
+	}
+
+	/**
+	 * Limit the number of torrents
+	 * @param {number} limit - Maximum number of torrents
+	 * @return {TorrentQuery} This query
+	 */
+	limit(limit) {
+		this.page.limit = limit
+		return this
+	}
+
+	/**
+	 * Skip torrents
+	 * @param {number} offset - Number of torrents to skip (if less than 0, offset from end)
+	 * @return {TorrentQuery} This query
+	 */
+	offset(offset) {
+		this.page.offset = offset
+		return this
+	}
+
+	/**
+	 * Keep torrents in some states
+	 * @param {(string|string[])} states - State or list of states (e.g. `stalledDL`, `metaDL`)
+	 * @return {TorrentQuery} This query
+	 */
+	state(states) {
+		states = [].concat(states)
+		return this.where('state', state => states.includes(state))
+	}
+
+	/**
+	 * Keep torrents whose share ratio is above a value
+	 * @param {number} ratio - Minimum ratio (exclusive)
+	 * @return {TorrentQuery} This query
+	 */
+	ratioAbove(ratio) {
+		return this.where('ratio', value => value > ratio)
+	}
+
+	/**
+	 * Keep torrents whose share ratio is below a value
+	 * @param {number} ratio - Maximum ratio (exclusive)
+	 * @return {TorrentQuery} This query
+	 */
+	ratioBelow(ratio) {
+		return this.where('ratio', value => value < ratio)
+	}
+
+	/**
+	 * Keep torrents whose size is in a range
+	 * @param {number} [min] - Minimum size in bytes (inclusive)
+	 * @param {number} [max] - Maximum size in bytes (inclusive)
+	 * @return {TorrentQuery} This query
+	 */
+	sizeBetween(min = 0, max = Infinity) {
+		return this.where('size', size => size >= min && size <= max)
+	}
+
+	/**
+	 * Keep torrents whose name matches
+	 * @param {(string|RegExp)} pattern - Substring or regex
+	 * @return {TorrentQuery} This query
+	 */
+	nameMatches(pattern) {
+		return this.where('name', matcher(pattern))
+	}
+
+	/**
+	 * Keep torrents whose working tracker matches
+	 * @param {(string|RegExp)} pattern - Substring or regex
+	 * @return {TorrentQuery} This query
+	 */
+	tracker(pattern) {
+		return this.where('tracker', matcher(pattern))
+	}
+
+	/**
+	 * Keep torrents whose save path matches
+	 * @param {(string|RegExp)} pattern - Substring or regex
+	 * @return {TorrentQuery} This query
+	 */
+	savePath(pattern) {
+		return this.where('save_path', matcher(pattern))
+	}
+
+	/**
+	 * Keep torrents matching a condition
+	 * @param {(string|function(Torrent): boolean)} field - Property of `Torrent`, or function testing the whole torrent
+	 * @param {(*|RegExp|function(*): boolean)} [condition] - Value the property must equal, regex it must match, or function testing it
+	 * @return {TorrentQuery} This query
+	 */
+	where(field, condition) {
+		if (typeof field == 'function') {
+			this.predicates.push(field)
+		} else if (typeof condition == 'function') {
+			this.predicates.push(torrent => condition(torrent[field]))
+		} else if (condition instanceof RegExp) {
+			// String.prototype.search() ignores the lastIndex of global expressions, unlike test()
+			this.predicates.push(torrent => String(torrent[field] || '').search(condition) >= 0)
+		} else {
+			this.predicates.push(torrent => torrent[field] === condition)
+		}
+		return this
+	}
+
+	/**
+	 * Get the torrents matching the query
+	 * @return {Promise<Torrent[]>} Torrents
+	 */
+	async run() {
+		const predicates = this.parameters.tag !== undefined && !this.tagFilter ? this.predicates.concat(tagged(this.parameters.tag)) : this.predicates
+		// Pagination can only be done by qBittorrent when it evaluates all the conditions
+		const local = predicates.length > 0
+		const parameters = Object.assign({}, this.parameters, local ? {} : this.page)
+
+		let torrents = (await this.fetch(parameters)).filter(torrent => predicates.every(predicate => predicate(torrent)))
+		if (local) {
+			let offset = this.page.offset || 0
+			if (offset < 0) offset = Math.max(torrents.length + offset, 0)
+			torrents = torrents.slice(offset, this.page.limit > 0 ? offset + this.page.limit : undefined)
+		}
+		return torrents
+	}
+
+	/**
+	 * Run the query when awaited
+	 * @param {function} resolve - Called with the torrents
+	 * @param {function} reject - Called with the error
+	 * @return {Promise} Promise of the callbacks
+	 */
+	then(resolve, reject) {
+		return this.run().then(resolve, reject)
+	}
+}
+
+/**
+ * Create a function testing a string against a pattern
+ * @param {(string|RegExp)} pattern - Substring or regex
+ * @return {function(string): boolean} Function testing a string
+ */
+function matcher(pattern) {
+	return value => pattern instanceof RegExp ? (value || '').search(pattern) >= 0 : (value || '').includes(pattern)
+}
+
+/**
+ * Create a function testing whether a torrent has a tag
+ * @param {string} tag - Tag, empty string for torrents without tags
+ * @return {function(Torrent): boolean} Function testing a torrent
+ */
+function tagged(tag) {
+	return torrent => tag == '' ? !torrent.tags : (torrent.tags || '').split(/,\s*/).includes(tag)
+}
+
+exports.TorrentQuery = TorrentQuery
@@ -0,0 +1,389 @@
+const EventEmitter = require('events')
+
+/**
+ * Events emitted by `SyncClient` from the changes between two updates, polling runs while one of them has listeners
+ */
+const EVENTS = ['torrentAdded', 'torrentRemoved', 'torrentCompleted', 'stateChanged', 'categoryChanged', 'tagsChanged', 'trackerErrored', 'serverStateChanged']
+
+/**
+ * Events emitted by `PeerWatcher`
+ */
+const PEER_EVENTS = ['peerConnected', 'peerDisconnected', 'peerUpdated']
+
+/**
+ * @typedef {Object} SyncSnapshot
+ * @property {number} rid - Response ID of the last merged update
+ * @property {Object<string, Torrent>} torrents - Property: torrent hash, value: torrent (including its `hash`)
+ * @property {Object<string, Object>} categories - Property: category name, value: category info
+ * @property {string[]} tags - List of tags
+ * @property {Object} serverState - Global transfer info
+ */
+
+/**
+ * Base of the clients calling `update()` periodically while listeners are attached to their events
+ */
+class Poller extends EventEmitter {
+	/**
+	 * @param {string[]} events - Events whose listeners start polling
+	 * @param {number} interval - Time in milliseconds between two updates while polling
+	 */
+	constructor(events, interval) {
+		super()
+		this.events = events
+		this.interval = interval
+		this.timer = null
+		this.polling = false
+		this.generation = 0
+		// Callers of next() waiting for an update, and error of an update nobody received
+		this.waiting = []
+		this.failure = null
+
+		this.on('newListener', event => {
+			// The listener is only added after this event
+			if (this.events.includes(event)) process.nextTick(() => this.listening() && this.start())
+		})
+		this.on('removeListener', event => {
+			if (this.events.includes(event) && !this.listening()) this.stop()
+		})
+	}
+
+	/**
+	 * Check whether listeners are attached to the events
+	 * @return {boolean} True if at least one event has a listener
+	 */
+	listening() {
+		return this.events.some(name => this.listenerCount(name) > 0)
+	}
+
+	/**
+	 * Start polling, called automatically when a listener is attached
+	 */
+	start() {
+		if (this.polling) return
+		this.polling = true
+		this.poll()
+	}
+
+	/**
+	 * Stop polling, called automatically when the last listener is removed
+	 */
+	stop() {
+		this.polling = false
+		this.generation++
+		clearTimeout(this.timer)
+		this.timer = null
+	}
+
+	/**
+	 * Wait for the next update while polling, or update now otherwise
+	 * @return {Promise<*>} Result of the update, rejected with its error or with the error of an update which had neither an `error` listener nor a caller waiting
+	 */
+	async next() {
+		if (this.failure) {
+			const failure = this.failure
+			this.failure = null
+			throw failure
+		}
+		if (!this.polling) return await this.update()
+		return await new Promise((resolve, reject) => this.waiting.push({ resolve, reject }))
+	}
+
+	/**
+	 * Update, then schedule the next update while polling
+	 */
+	async poll() {
+		// An update still running when polling is stopped then started again must not schedule a second loop
+		const generation = this.generation
+		const waiting = this.waiting
+		this.waiting = []
+		try {
+			const result = await this.update()
+			waiting.forEach(({ resolve }) => resolve(result))
+		} catch (err) {
+			waiting.forEach(({ reject }) => reject(err))
+			if (this.listenerCount('error') > 0) this.emit('error', err)
+			else if (waiting.length == 0) this.failure = err
+		}
+		if (this.polling && generation == this.generation) this.timer = setTimeout(() => this.poll(), this.interval)
+	}
+}
+
+/**
+ * Client keeping a live model of qBittorrent's main data, by merging the deltas returned by `syncMainData()`.
+ * It polls qBittorrent while listeners are attached to its events:
+ * - `torrentAdded` (torrent)
+ * - `torrentRemoved` (torrent)
+ * - `torrentCompleted` (torrent): progress reached 1
+ * - `stateChanged` (torrent, oldState, newState)
+ * - `categoryChanged` (torrent, oldCategory, newCategory)
+ * - `tagsChanged` (torrent, oldTags, newTags)
+ * - `trackerErrored` (torrent): the torrent has no working tracker anymore
+ * - `serverStateChanged` (serverState, changes)
+ * - `error` (err): an update failed, polling goes on. Without listener, the error is thrown by `next()`
+ * @example
+ * const sync = new SyncClient(qbt)
+ * await sync.update()
+ * console.log(sync.snapshot().torrents)
+ *
+ * new SyncClient(qbt, { interval: 5000 }).on('torrentCompleted', torrent => console.log(torrent.name))
+ */
+class SyncClient extends Poller {
+	/**
+	 * Create a sync client, which is empty until the first update
+	 * @param {Object} qbt - Client returned by `connect()`
+	 * @param {Object} [options]
+	 * @param {number} [options.interval] - Time in milliseconds between two updates while polling (default: `2000`)
+	 */
+	constructor(qbt, { interval = 2000 } = {}) {
+		super(EVENTS, interval)
+		this.qbt = qbt
+		this.reset()
+	}
+
+	/**
+	 * Forget all the data, the next update will request a full update
+	 */
+	reset() {
+		this.rid = 0
+		this.torrents = {}
+		this.categories = {}
+		this.tags = []
+		this.serverState = {}
+	}
+
+	/**
+	 * Request the changes since the last update and merge them
+	 * @return {Promise<SyncSnapshot>} Snapshot after the update
+	 */
+	async update() {
+		const data = await this.qbt.syncMainData(this.rid)
+		this.apply(data)
+		return this.snapshot()
+	}
+
+	/**
+	 * Merge main data into the model
+	 * @param {MainData} data - Full or partial update returned by `syncMainData()`
+	 */
+	apply(data) {
+		const initial = this.rid == 0
+		const previous = {}
+		for (const hash of Object.keys(data.torrents || {})) {
+			if (this.torrents[hash]) previous[hash] = Object.assign({}, this.torrents[hash])
+		}
+		const removed = data.full_update
+			? Object.values(this.torrents).filter(torrent => !(data.torrents || {})[torrent.hash])
+			: (data.torrents_removed || []).map(hash => this.torrents[hash]).filter(torrent => torrent)
+
+		if (data.full_update) {
+			const rid = this.rid
+			this.reset()
+			this.rid = rid
+		}
+
+		for (const [hash, torrent] of Object.entries(data.torrents || {})) {
+			this.torrents[hash] = Object.assign(this.torrents[hash] || { hash: hash }, torrent)
+		}
+		for (const hash of data.torrents_removed || []) {
+			delete this.torrents[hash]
+		}
+
+		for (const [name, category] of Object.entries(data.categories || {})) {
+			this.categories[name] = Object.assign(this.categories[name] || {}, category)
+		}
+		for (const name of data.categories_removed || []) {
+			delete this.categories[name]
+		}
+
+		for (const tag of data.tags || []) {
+			if (!this.tags.includes(tag)) this.tags.push(tag)
+		}
+		this.tags = this.tags.filter(tag => !(data.tags_removed || []).includes(tag))
+
+		const serverStateChanges = {}
+		for (const [key, value] of Object.entries(data.server_state || {})) {
+			if (this.serverState[key] !== value) serverStateChanges[key] = value
+		}
+		Object.assign(this.serverState, data.server_state)
+
+		this.rid = data.rid
+
+		// The first update only loads the existing data
+		if (!initial) this.emitChanges(previous, removed, Object.keys(data.torrents || {}), serverStateChanges)
+	}
+
+	/**
+	 * Emit the events describing the changes of an update
+	 * @param {Object<string, Torrent>} previous - Torrents before the update, only those present in the update
+	 * @param {Torrent[]} removed - Removed torrents
+	 * @param {string[]} hashes - Hashes of the torrents present in the update
+	 * @param {Object} serverStateChanges - Server state properties which changed
+	 */
+	emitChanges(previous, removed, hashes, serverStateChanges) {
+		for (const torrent of removed) this.emit('torrentRemoved', torrent)
+
+		for (const hash of hashes) {
+			const torrent = this.torrents[hash]
+			const old = previous[hash]
+			if (!old) {
+				this.emit('torrentAdded', torrent)
+				continue
+			}
+			if (old.progress < 1 && torrent.progress == 1) this.emit('torrentCompleted', torrent)
+			if (old.state != torrent.state) this.emit('stateChanged', torrent, old.state, torrent.state)
+			if (old.category != torrent.category) this.emit('categoryChanged', torrent, old.category, torrent.category)
+			if (old.tags != torrent.tags) this.emit('tagsChanged', torrent, old.tags, torrent.tags)
+			if (old.tracker && !torrent.tracker) this.emit('trackerErrored', torrent)
+		}
+
+		if (Object.keys(serverStateChanges).length > 0) this.emit('serverStateChanged', this.serverState, serverStateChanges)
+	}
+
+	/**
+	 * Get a copy of the current model
+	 * @return {SyncSnapshot} Snapshot
+	 */
+	snapshot() {
+		return {
+			rid: this.rid,
+			torrents: clone(this.torrents),
+			categories: clone(this.categories),
+			tags: this.tags.slice(),
+			serverState: Object.assign({}, this.serverState)
+		}
+	}
+}
+
+/**
+ * Watcher keeping a live table of the peers of a torrent, by merging the deltas returned by `syncPeersData()`.
+ * It polls qBittorrent while listeners are attached to its events:
+ * - `peerConnected` (peer)
+ * - `peerDisconnected` (peer)
+ * - `peerUpdated` (peer, changes)
+ * - `error` (err): an update failed, polling goes on. Without listener, the error is thrown by `next()`
+ * @example
+ * const watcher = new PeerWatcher(qbt, hash)
+ * watcher.on('peerConnected', peer => console.log(peer.client))
+ * const leechers = watcher.peersByClient(/^Xunlei/)
+ * await watcher.ban(leechers)
+ */
+class PeerWatcher extends Poller {
+	/**
+	 * Create a peer watcher, which is empty until the first update
+	 * @param {Object} qbt - Client returned by `connect()`
+	 * @param {string} hash - Hash of the torrent
+	 * @param {Object} [options]
+	 * @param {number} [options.interval] - Time in milliseconds between two updates while polling (default: `2000`)
+	 */
+	constructor(qbt, hash, { interval = 2000 } = {}) {
+		super(PEER_EVENTS, interval)
+		this.qbt = qbt
+		this.hash = hash
+		this.reset()
+	}
+
+	/**
+	 * Forget all the peers, the next update will request a full update
+	 */
+	reset() {
+		this.rid = 0
+		this.table = {}
+	}
+
+	/**
+	 * Request the changes since the last update and merge them
+	 * @return {Promise<Object<string, Peer>>} Peers after the update
+	 */
+	async update() {
+		const data = await this.qbt.syncPeersData(this.hash, this.rid)
+		this.apply(data)
+		return this.peers()
+	}
+
+	/**
+	 * Merge peer data into the table
+	 * @param {PeerData} data - Full or partial update returned by `syncPeersData()`
+	 */
+	apply(data) {
+		const initial = this.rid == 0
+		const removed = data.full_update
+			? Object.keys(this.table).filter(key => !(data.peers || {})[key])
+			: (data.peers_removed || []).filter(key => this.table[key])
+		const events = []
+
+		for (const key of removed) {
+			events.push(['peerDisconnected', this.table[key]])
+			delete this.table[key]
+		}
+		for (const [key, peer] of Object.entries(data.peers || {})) {
+			if (!this.table[key]) {
+				this.table[key] = Object.assign({ key: key }, peer)
+				events.push(['peerConnected', this.table[key]])
+				continue
+			}
+			const changes = {}
+			for (const [property, value] of Object.entries(peer)) {
+				if (this.table[key][property] !== value) changes[property] = value
+			}
+			Object.assign(this.table[key], peer)
+			if (Object.keys(changes).length > 0) events.push(['peerUpdated', this.table[key], changes])
+		}
+
+		this.rid = data.rid
+
+		// The first update only loads the existing peers
+		if (!initial) events.forEach(event => this.emit(...event))
+	}
+
+	/**
+	 * Get a copy of the peer table
+	 * @return {Object<string, Peer>} Property: `ip:port`, value: peer
+	 */
+	peers() {
+		return clone(this.table)
+	}
+
+	/**
+	 * Get the peers with the highest value of a property
+	 * @param {number} count - Number of peers to return
+	 * @param {string} [property] - Numeric property of `Peer` to sort by (default: `up_speed`)
+	 * @return {Peer[]} Peers, sorted by decreasing value
+	 */
+	topPeers(count, property = 'up_speed') {
+		return Object.values(this.peers())
+			.sort((a, b) => (b[property] || 0) - (a[property] || 0))
+			.slice(0, count)
+	}
+
+	/**
+	 * Get the peers using a client
+	 * @param {(string|RegExp)} client - Substring of the client name, or regex matching it
+	 * @return {Peer[]} Peers
+	 */
+	peersByClient(client) {
+		// String.prototype.search() ignores the lastIndex of global and sticky expressions, unlike test()
+		return Object.values(this.peers()).filter(peer => client instanceof RegExp ? (peer.client || '').search(client) != -1 : (peer.client || '').includes(client))
+	}
+
+	/**
+	 * Ban peers
+	 * @param {(Peer|Peer[]|string|string[])} peers - Peers, or their `ip:port`
+	 */
+	async ban(peers) {
+		await this.qbt.banPeers([].concat(peers).map(peer => typeof peer == 'string' ? peer : peer.key))
+	}
+}
+
+/**
+ * Copy a map of objects, one level deep
+ * @param {Object<string, Object>} map - Map to copy
+ * @return {Object<string, Object>} Copy
+ */
+function clone(map) {
+	const copy = {}
+	for (const [key, value] of Object.entries(map)) copy[key] = Object.assign({}, value)
+	return copy
+}
+
+exports.SyncClient = SyncClient
+exports.PeerWatcher = PeerWatcher
@@ -0,0 +1,286 @@
+// qbt.js requires this module too, the errors are only read from it once both are loaded
+const api = require('./qbt')
+
+/**
+ * Handle on a single torrent, with the client methods bound to its hash
+ * @example
+ * const torrent = qbt.torrent(hash)
+ * await torrent.setCategory('linux')
+ * await torrent.pause()
+ * const { name, state } = await torrent.refresh()
+ */
+class TorrentHandle {
+	/**
+	 * Create a handle
+	 * @param {Object} qbt - Client returned by `connect()`
+	 * @param {(string|Torrent)} torrent - Hash of the torrent, or torrent returned by the client
+	 * @throws {TypeError} If the torrent is neither a hash nor an object with a hash
+	 */
+	constructor(qbt, torrent) {
+		if (typeof (torrent && typeof torrent == 'object' ? torrent.hash : torrent) != 'string') throw new TypeError(`Invalid torrent: ${torrent}`)
+		this.qbt = qbt
+		this.hash = typeof torrent == 'object' ? torrent.hash : torrent
+		this.info = typeof torrent == 'object' ? torrent : null
+	}
+
+	/**
+	 * Get the latest info of the torrent, also stored in `info`
+	 * @return {Promise<Torrent>} Torrent
+	 * @throws {UnknownTorrentError} If qBittorrent doesn't have the torrent
+	 */
+	async refresh() {
+		const [torrent] = await this.qbt.torrents({ hashes: this.hash })
+		if (!torrent) throw new api.UnknownTorrentError(this.hash)
+		this.info = torrent
+		return torrent
+	}
+
+	/**
+	 * Get the generic properties of the torrent
+	 * @return {Promise<TorrentInfo>} Torrent properties
+	 */
+	async properties() {
+		return await this.qbt.properties(this.hash)
+	}
+
+	/**
+	 * Get the trackers of the torrent
+	 * @return {Promise<Tracker[]>} Torrent trackers
+	 */
+	async trackers() {
+		return await this.qbt.trackers(this.hash)
+	}
+
+	/**
+	 * Get the web seeds of the torrent
+	 * @return {Promise<Webseed[]>} Torrent webseeds
+	 */
+	async webseeds() {
+		return await this.qbt.webseeds(this.hash)
+	}
+
+	/**
+	 * Get the contents of the torrent
+	 * @return {Promise<Content[]>} Torrent contents
+	 */
+	async files() {
+		return await this.qbt.files(this.hash)
+	}
+
+	/**
+	 * Get the states of the pieces of the torrent
+	 * @return {Promise<(0|1|2)[]>} States of all pieces
+	 */
+	async pieceStates() {
+		return await this.qbt.pieceStates(this.hash)
+	}
+
+	/**
+	 * Get the hashes of the pieces of the torrent
+	 * @return {Promise<string[]>} Hashes of all pieces
+	 */
+	async pieceHashes() {
+		return await this.qbt.pieceHashes(this.hash)
+	}
+
+	/**
+	 * Pause the torrent
+	 */
+	async pause() {
+		return await this.qbt.pauseTorrents(this.hash)
+	}
+
+	/**
+	 * Resume the torrent
+	 */
+	async resume() {
+		return await this.qbt.resumeTorrents(this.hash)
+	}
+
+	/**
+	 * Delete the torrent
+	 * @param {boolean} [deleteFiles] - Also delete the downloaded data (default: `false`)
+	 */
+	async delete(deleteFiles) {
+		return await this.qbt.deleteTorrents(this.hash, deleteFiles)
+	}
+
+	/**
+	 * Recheck the torrent
+	 */
+	async recheck() {
+		return await this.qbt.recheckTorrents(this.hash)
+	}
+
+	/**
+	 * Reannounce the torrent
+	 */
+	async reannounce() {
+		return await this.qbt.reannounceTorrents(this.hash)
+	}
+
+	/**
+	 * Rename the torrent
+	 * @param {string} name - New torrent name
+	 */
+	async rename(name) {
+		return await this.qbt.rename(this.hash, name)
+	}
+
+	/**
+	 * Set the category of the torrent
+	 * @param {string} category - Category, empty string to remove the category
+	 */
+	async setCategory(category) {
+		return await this.qbt.setCategory(this.hash, category)
+	}
+
+	/**
+	 * Add tags to the torrent
+	 * @param {(string|string[])} tags - Tags, separated by `,` or as an array
+	 */
+	async addTags(tags) {
+		return await this.qbt.addTags(this.hash, tags)
+	}
+
+	/**
+	 * Remove tags from the torrent
+	 * @param {(string|string[])} tags - Tags, separated by `,` or as an array
+	 */
+	async removeTags(tags) {
+		return await this.qbt.removeTags(this.hash, tags)
+	}
+
+	/**
+	 * Set the location of the torrent
+	 * @param {string} location - Location to download the torrent to
+	 */
+	async setLocation(location) {
+		return await this.qbt.setLocation(this.hash, location)
+	}
+
+	/**
+	 * Set the download limit of the torrent
+	 * @param {(number|null)} limit - Download speed limit in bytes per second, `0`, `Infinity` or `null` for no limit
+	 */
+	async setDownloadLimit(limit) {
+		return await this.qbt.setDownloadLimit(this.hash, limit)
+	}
+
+	/**
+	 * Set the upload limit of the torrent
+	 * @param {(number|null)} limit - Upload speed limit in bytes per second, `0`, `Infinity` or `null` for no limit
+	 */
+	async setUploadLimit(limit) {
+		return await this.qbt.setUploadLimit(this.hash, limit)
+	}
+
+	/**
+	 * Set the share limit of the torrent
+	 * @param {(number|null)} ratioLimit - Max ratio, `-2` for the global limit, `-1`, `Infinity` or `null` for no limit
+	 * @param {(number|null)} seedingTimeLimit - Max seeding time, `-2` for the global limit, `-1`, `Infinity` or `null` for no limit
+	 */
+	async setShareLimit(ratioLimit, seedingTimeLimit) {
+		return await this.qbt.setShareLimit(this.hash, ratioLimit, seedingTimeLimit)
+	}
+
+	/**
+	 * Set the priority of files of the torrent
+	 * @param {(string|number|number[])} id - File ids, separated by `|` or as an array
+	 * @param {(0|1|6|7)} priority - File priority
+	 */
+	async setFilePriority(id, priority) {
+		return await this.qbt.setFilePriority(this.hash, id, priority)
+	}
+
+	/**
+	 * Rename a file of the torrent
+	 * @param {number} id - Id of the file
+	 * @param {string} name - New name of the file
+	 */
+	async renameFile(id, name) {
+		return await this.qbt.renameFile(this.hash, id, name)
+	}
+
+	/**
+	 * Rename a folder of the torrent (Web API 2.8.0+)
+	 * @param {string} oldPath - Path of the folder
+	 * @param {string} newPath - New path of the folder
+	 */
+	async renameFolder(oldPath, newPath) {
+		return await this.qbt.renameFolder(this.hash, oldPath, newPath)
+	}
+
+	/**
+	 * Add trackers to the torrent
+	 * @param {(string|string[])} urls - URLs, separated by a newline `\n` or as an array
+	 */
+	async addTrackers(urls) {
+		return await this.qbt.addTrackers(this.hash, urls)
+	}
+
+	/**
+	 * Replace a tracker of the torrent
+	 * @param {string} origUrl - Tracker URL to edit
+	 * @param {string} newUrl - New tracker URL
+	 */
+	async editTracker(origUrl, newUrl) {
+		return await this.qbt.editTrackers(this.hash, origUrl, newUrl)
+	}
+
+	/**
+	 * Remove trackers from the torrent
+	 * @param {(string|string[])} urls - URLs, separated by `|` or as an array
+	 */
+	async removeTrackers(urls) {
+		return await this.qbt.removeTrackers(this.hash, urls)
+	}
+
+	/**
+	 * Add peers to the torrent
+	 * @param {(string|string[])} peers - Peers as `host:port`, separated by `|` or as an array
+	 */
+	async addPeers(peers) {
+		return await this.qbt.addPeers(this.hash, peers)
+	}
+
+	/**
+	 * Enable or disable automatic torrent management
+	 * @param {boolean} enable - Enable automatic torrent management
+	 */
+	async setAutoManagement(enable) {
+		return await this.qbt.setAutoManagement(this.hash, enable)
+	}
+
+	/**
+	 * Enable or disable force start
+	 * @param {boolean} value - Enable force start
+	 */
+	async setForceStart(value) {
+		return await this.qbt.setForceStart(this.hash, value)
+	}
+
+	/**
+	 * Enable or disable super seeding
+	 * @param {boolean} value - Enable super seeding
+	 */
+	async setSuperSeeding(value) {
+		return await this.qbt.setSuperSeeding(this.hash, value)
+	}
+
+	/**
+	 * Toggle sequential download
+	 */
+	async toggleSequentialDownload() {
+		return await this.qbt.toggleSequentialDownload(this.hash)
+	}
+
+	/**
+	 * Toggle first/last piece priority
+	 */
+	async toggleFirstLastPiecePrio() {
+		return await this.qbt.toggleFirstLastPiecePrio(this.hash)
+	}
+}
+
+exports.TorrentHandle = TorrentHandle
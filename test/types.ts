@@ -0,0 +1,43 @@
+// Usage of the type declarations, type-checked by npm test and never run
+import { AmbiguousTorrentError, connect, MockServer, QbtCluster, RssRule, SyncClient, TorrentHash, UnknownTorrentError } from '../src/qbt'
+
+async function usage(): Promise<void> {
+	const mock = new MockServer({ empty: true })
+	const qbt = await connect(await mock.listen(), 'admin', 'adminadmin', { timeout: 5000, retry: { mutating: true } })
+
+	const [torrent] = await qbt.torrents({ filter: 'downloading', sort: 'added_on', reverse: true })
+	await qbt.pauseTorrents([torrent, process.env.HASH as TorrentHash])
+	// @ts-expect-error Hashes only come from qBittorrent or an explicit cast
+	await qbt.pauseTorrents('8c212779b4abde7c6bc608063a0d008b7e40ce32')
+	// @ts-expect-error Unknown state
+	await qbt.query().state('seeding')
+	const tv: number = (await qbt.query({ category: 'tv', limit: 10 }).tag('hd').ratioAbove(2)).length
+
+	await qbt.addTorrent(['magnet:?xt=urn:btih:...', Buffer.from('d4:infode')], { category: 'linux', tags: ['iso'], paused: true })
+	await qbt.setPreferences({ preferences: { listen_port: 8999 }, onlyChanged: true })
+	await qbt.setRssRule('tv', new RssRule().mustContain('x264').category('tv'))
+
+	for await (const result of qbt.search('ubuntu', { plugins: 'all', timeout: 10000 })) {
+		const seeders: number = result.nbSeeders
+	}
+	try {
+		const { hash } = await qbt.findAndAdd('ubuntu', { minSeeders: 5, include: /desktop/, category: 'linux' })
+		if (hash) await qbt.torrent(hash).pause()
+	} catch (err) {
+		if (err instanceof AmbiguousTorrentError) await qbt.deleteTorrents(err.hashes)
+	}
+
+	const sync = new SyncClient(qbt, { interval: 1000 })
+	sync.on('stateChanged', (changed, from, to) => console.log(changed.name, from, to))
+	sync.off('stateChanged', () => {})
+	const { torrents } = await sync.next()
+
+	const { cluster } = await QbtCluster.connect({ nas: { host: 'http://nas:8080', username: 'admin', password: 'secret' } })
+	const { results, errors } = await cluster.pauseTorrents((await cluster.torrents()).results)
+	try {
+		await cluster.properties(torrent)
+	} catch (err) {
+		if (err instanceof UnknownTorrentError) console.log(err.hash)
+	}
+	await mock.close()
+}